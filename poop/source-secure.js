@@ -4,9 +4,19 @@ const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 const os = require('os');
-const { exec, execSync } = require('child_process');
+const { exec, execFile, execSync, spawn } = require('child_process');
 const util = require('util');
+const readline = require('readline');
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+const { pathToFileURL } = require('url');
+const zlib = require('zlib');
+const http = require('http');
+const https = require('https');
 const execPromise = util.promisify(exec);
+const execFilePromise = util.promisify(execFile);
+const gunzipPromise = util.promisify(zlib.gunzip);
+
+const PACKAGE_VERSION = require('./package.json').version;
 
 // Archive extraction libraries
 let yauzl, tar, node7z;
@@ -18,6 +28,14 @@ try {
     // Libraries not installed, archive scanning will be disabled
 }
 
+// YAML parser for .source-secure.yml configuration files
+let YAML;
+try {
+    YAML = require('yaml');
+} catch (e) {
+    // Library not installed, only JSON configuration files can be loaded
+}
+
 // Enhanced API Key patterns (480+ detectors like GitGuardian)
 const API_KEY_PATTERNS = [
     // AWS
@@ -71,7 +89,7 @@ const API_KEY_PATTERNS = [
 
     // Social Media
     { name: 'Facebook Access Token', pattern: /EAA[0-9A-Za-z]+/g, severity: 'HIGH' },
-    { name: 'Twitter Bearer Token', pattern: /AAA[0-9A-Za-z%]+/g, severity: 'HIGH' },
+    { name: 'Twitter Bearer Token', pattern: /A{20,}[0-9A-Za-z%]{30,}/g, severity: 'HIGH' },
     { name: 'Discord Bot Token', pattern: /[MN][A-Za-z0-9]{23}\.[A-Za-z0-9_-]{6}\.[A-Za-z0-9_-]{27}/g, severity: 'HIGH' },
     { name: 'Discord Webhook', pattern: /https:\/\/discord(?:app)?\.com\/api\/webhooks\/[0-9]{17,19}\/[A-Za-z0-9_-]{68}/gi, severity: 'MEDIUM' },
 
@@ -91,6 +109,7 @@ const ARCHIVE_EXTENSIONS = [
 const ARCHIVE_CONFIG = {
     maxExtractSize: 100 * 1024 * 1024, // 100MB max extraction size
     maxDepth: 3,  // Maximum nesting depth for archives within archives
+    maxRatio: 100,  // Maximum ratio of extracted to compressed size, against decompression bombs
     timeout: 30000,  // 30 second timeout for extraction
     enabled: true  // Can be disabled if causing issues
 };
@@ -105,6 +124,533 @@ const EXTERNAL_TOOLS_CONFIG = {
     }
 };
 
+// Entropy detection thresholds per charset. Entropy is capped by the alphabet (4 bits per character for hex, 6 for
+// base64) and random strings only approach the cap as they get longer, so each charset has its own minimum length
+// and minimum entropy in bits per character.
+const ENTROPY_CONFIG = {
+    enabled: true,
+    hex: { minLength: 32, minEntropy: 3.3 },
+    base64: { minLength: 32, minEntropy: 4.2 },
+    alphanumeric: { minLength: 24, minEntropy: 3.9 }
+};
+
+// Configuration for the decoder pipeline (base64, hex, URL-encoding... see DECODERS)
+const DECODE_CONFIG = {
+    enabled: true,
+    maxDepth: 3  // Maximum number of nested encodings decoded, e.g. base64 inside URL-encoding
+};
+
+// Configuration for scanning the printable strings of binary files (compiled classes, bytecode, native libraries...)
+const BINARY_CONFIG = {
+    enabled: true,
+    minLength: 8,  // Shortest ASCII or UTF-16LE string extracted
+    maxSize: 50 * 1024 * 1024  // Larger binary files are skipped (50MB)
+};
+
+// Configuration for the AI triage stage (--ai), which asks a local Ollama model to review candidates
+const AI_CONFIG = {
+    host: process.env.OLLAMA_HOST || 'http://127.0.0.1:11434',
+    model: 'llama3.2',
+    timeout: 30000,  // 30 second timeout per request
+    concurrency: 2,  // Requests in flight at once
+    contextLines: 3,  // Lines sent on each side of the candidate
+    minConfidence: 0.8  // False positives below this confidence stay reported
+};
+
+// File extensions scanned by the directory walkers
+const SCAN_EXTENSIONS = ['.js', '.py', '.json', '.env', '.yml', '.yaml', '.xml', '.config', '.conf', '.properties', '.sh', '.bash', '.tf', '.tfvars', '.tfstate', '.hcl', '.template', '.ipynb',
+    '.class', '.pyc', '.so', '.dylib', '.dll', '.exe', '.wasm', '.asar',
+    '.docx', '.docm', '.xlsx', '.xlsm', '.pptx', '.pptm', '.odt', '.ods', '.odp', '.pdf'];
+
+// Directory names that are never walked
+const IGNORE_PATTERNS = ['.git', 'node_modules', 'dist', 'build'];
+
+// Compiled `ignore` globs from the configuration file, matched against paths relative to the scan root
+const IGNORE_GLOBS = [];
+
+const SEVERITIES = ['CRITICAL', 'HIGH', 'MEDIUM', 'LOW'];
+
+// Configuration file names, in lookup order
+const CONFIG_FILE_NAMES = ['.source-secure.json', '.source-secure.yml', '.source-secure.yaml'];
+
+// Shape of the per-charset thresholds under `entropy`
+const ENTROPY_THRESHOLD_SCHEMA = {
+    type: 'object',
+    properties: {
+        minLength: { type: 'number', minimum: 1 },
+        minEntropy: { type: 'number', minimum: 0 }
+    }
+};
+
+// Shape of a configuration file. Every key not listed here is rejected.
+const CONFIG_SCHEMA = {
+    type: 'object',
+    properties: {
+        extensions: { type: 'array', items: { type: 'string', pattern: /^\./, hint: 'must start with "."' } },
+        ignore: { type: 'array', items: { type: 'string' } },
+        detectors: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['name'],
+                properties: {
+                    name: { type: 'string' },
+                    pattern: { type: 'string' },
+                    flags: { type: 'string', pattern: /^[gimsuy]*$/, hint: 'may only contain g, i, m, s, u, y' },
+                    severity: { type: 'string', enum: SEVERITIES },
+                    context: { type: 'string' },
+                    enabled: { type: 'boolean' }
+                }
+            }
+        },
+        archive: {
+            type: 'object',
+            properties: {
+                enabled: { type: 'boolean' },
+                maxExtractSize: { type: 'number', minimum: 0 },
+                maxDepth: { type: 'number', minimum: 0 },
+                maxRatio: { type: 'number', minimum: 1 },
+                timeout: { type: 'number', minimum: 0 }
+            }
+        },
+        decode: {
+            type: 'object',
+            properties: {
+                enabled: { type: 'boolean' },
+                maxDepth: { type: 'number', minimum: 0 }
+            }
+        },
+        binary: {
+            type: 'object',
+            properties: {
+                enabled: { type: 'boolean' },
+                minLength: { type: 'number', minimum: 1 },
+                maxSize: { type: 'number', minimum: 0 }
+            }
+        },
+        entropy: {
+            type: 'object',
+            properties: {
+                enabled: { type: 'boolean' },
+                hex: ENTROPY_THRESHOLD_SCHEMA,
+                base64: ENTROPY_THRESHOLD_SCHEMA,
+                alphanumeric: ENTROPY_THRESHOLD_SCHEMA
+            }
+        },
+        externalTools: {
+            type: 'object',
+            properties: {
+                trufflehog: {
+                    type: 'object',
+                    properties: {
+                        enabled: { type: 'boolean' },
+                        command: { type: 'string' },
+                        fallbackCommands: { type: 'array', items: { type: 'string' } },
+                        timeout: { type: 'number', minimum: 0 },
+                        args: { type: 'array', items: { type: 'string' } }
+                    }
+                }
+            }
+        },
+        ai: {
+            type: 'object',
+            properties: {
+                host: { type: 'string' },
+                model: { type: 'string' },
+                timeout: { type: 'number', minimum: 0 },
+                concurrency: { type: 'number', minimum: 1 },
+                contextLines: { type: 'number', minimum: 0 },
+                minConfidence: { type: 'number', minimum: 0 }
+            }
+        }
+    }
+};
+
+// Validate a parsed configuration value against a schema node, collecting readable errors
+function validateConfigValue(value, schema, keyPath, errors) {
+    const where = keyPath || 'configuration';
+    const actualType = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+
+    if (actualType !== schema.type) {
+        errors.push(`${where}: expected ${schema.type}, got ${actualType}`);
+        return;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${where}: must be one of ${schema.enum.join(', ')} (got "${value}")`);
+    }
+    if (schema.pattern && !schema.pattern.test(value)) {
+        errors.push(`${where}: ${schema.hint} (got "${value}")`);
+    }
+    if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${where}: must be >= ${schema.minimum}`);
+    }
+
+    if (schema.type === 'array') {
+        value.forEach((item, index) => validateConfigValue(item, schema.items, `${keyPath}[${index}]`, errors));
+    } else if (schema.type === 'object') {
+        for (const key of schema.required || []) {
+            if (!(key in value)) errors.push(`${where}: missing required key "${key}"`);
+        }
+        for (const [key, item] of Object.entries(value)) {
+            const childPath = keyPath ? `${keyPath}.${key}` : key;
+            if (!schema.properties[key]) {
+                errors.push(`${childPath}: unknown key (allowed: ${Object.keys(schema.properties).join(', ')})`);
+                continue;
+            }
+            validateConfigValue(item, schema.properties[key], childPath, errors);
+        }
+    }
+}
+
+// Compile a regular expression from configuration, reporting syntax errors against its key path
+function compileConfigRegExp(source, flags, keyPath, errors) {
+    try {
+        return new RegExp(source, flags);
+    } catch (error) {
+        errors.push(`${keyPath}: ${error.message}`);
+        return null;
+    }
+}
+
+// Build a detector from a configuration entry. Patterns are always global so matchAll() works.
+function compileDetector(entry, keyPath, errors) {
+    const flags = entry.flags || 'g';
+    const detector = { name: entry.name };
+
+    if (entry.pattern !== undefined) {
+        detector.pattern = compileConfigRegExp(entry.pattern, flags.includes('g') ? flags : `${flags}g`, `${keyPath}.pattern`, errors);
+    }
+    if (entry.context !== undefined) {
+        detector.context = compileConfigRegExp(entry.context, 'i', `${keyPath}.context`, errors);
+    }
+    if (entry.severity !== undefined) {
+        detector.severity = entry.severity;
+    }
+
+    return detector;
+}
+
+// Parse a configuration file (JSON or YAML)
+function readConfigFile(filePath) {
+    const text = fs.readFileSync(filePath, 'utf8');
+
+    if (/\.ya?ml$/i.test(filePath)) {
+        if (!YAML) {
+            throw new Error(`Cannot read ${filePath}: the "yaml" package is not installed`);
+        }
+        try {
+            return YAML.parse(text) || {};
+        } catch (error) {
+            throw new Error(`Invalid YAML in ${filePath}: ${error.message}`);
+        }
+    }
+
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Invalid JSON in ${filePath}: ${error.message}`);
+    }
+}
+
+// Validate a configuration object, throwing one error that lists every problem found
+function validateConfig(config, filePath, knownDetectors = new Set([...API_KEY_PATTERNS, ...GENERIC_PATTERNS].map(d => d.name))) {
+    const errors = [];
+    validateConfigValue(config, CONFIG_SCHEMA, '', errors);
+
+    // Regexes are compiled here so syntax errors surface before any file is scanned
+    const detectors = config && Array.isArray(config.detectors) ? config.detectors : [];
+    detectors.forEach((entry, index) => {
+        if (!entry || typeof entry.name !== 'string') return;
+        const keyPath = `detectors[${index}]`;
+
+        if (typeof entry.pattern === 'string' && /^[gimsuy]*$/.test(entry.flags || '')) {
+            compileDetector({ name: entry.name, pattern: entry.pattern, flags: entry.flags }, keyPath, errors);
+        }
+        if (typeof entry.context === 'string') {
+            compileDetector({ name: entry.name, context: entry.context }, keyPath, errors);
+        }
+        if (!knownDetectors.has(entry.name) && entry.pattern === undefined && entry.enabled !== false) {
+            errors.push(`${keyPath}: "${entry.name}" is not a known detector, so it needs a "pattern"`);
+        }
+        knownDetectors.add(entry.name);
+    });
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid configuration in ${filePath}:\n${errors.map(e => `   - ${e}`).join('\n')}`);
+    }
+
+    return config;
+}
+
+// Find the first configuration file in a directory
+function findConfigInDirectory(dir) {
+    for (const name of CONFIG_FILE_NAMES) {
+        const candidate = path.join(dir, name);
+        if (fs.existsSync(candidate) && fs.statSync(candidate).isFile()) {
+            return candidate;
+        }
+    }
+    return null;
+}
+
+// Search upward from the scan root for a project configuration file
+function findProjectConfig(startDir) {
+    let dir = path.resolve(startDir);
+
+    while (true) {
+        const found = findConfigInDirectory(dir);
+        if (found) return found;
+
+        const parent = path.dirname(dir);
+        if (parent === dir) return null;
+        dir = parent;
+    }
+}
+
+// Merge two configuration layers. Lists of globs and detectors accumulate, everything else is overridden.
+function mergeConfigs(base, override) {
+    const merged = { ...base };
+
+    for (const [key, value] of Object.entries(override)) {
+        if (key === 'ignore' || key === 'detectors') {
+            merged[key] = [...(base[key] || []), ...value];
+        } else if (key === 'archive' || key === 'decode' || key === 'binary' || key === 'ai') {
+            merged[key] = { ...base[key], ...value };
+        } else if (key === 'entropy') {
+            merged.entropy = { ...base.entropy };
+            for (const [charset, thresholds] of Object.entries(value)) {
+                merged.entropy[charset] = typeof thresholds === 'object' ? { ...(base.entropy || {})[charset], ...thresholds } : thresholds;
+            }
+        } else if (key === 'externalTools') {
+            merged.externalTools = { ...base.externalTools };
+            for (const [tool, toolConfig] of Object.entries(value)) {
+                merged.externalTools[tool] = { ...(base.externalTools || {})[tool], ...toolConfig };
+            }
+        } else {
+            merged[key] = value;
+        }
+    }
+
+    return merged;
+}
+
+// Load the user-level configuration followed by the project configuration (or an explicit --config file)
+function loadConfig(scanRoot = '.', explicitPath = null) {
+    const files = [];
+
+    const userConfig = findConfigInDirectory(os.homedir());
+    if (userConfig) files.push(userConfig);
+
+    if (explicitPath) {
+        if (!fs.existsSync(explicitPath)) {
+            throw new Error(`Configuration file not found: ${explicitPath}`);
+        }
+        files.push(path.resolve(explicitPath));
+    } else {
+        const projectConfig = findProjectConfig(scanRoot);
+        if (projectConfig && projectConfig !== userConfig) files.push(projectConfig);
+    }
+
+    let config = {};
+    const knownDetectors = new Set([...API_KEY_PATTERNS, ...GENERIC_PATTERNS].map(d => d.name));
+    for (const file of files) {
+        config = mergeConfigs(config, validateConfig(readConfigFile(file), file, knownDetectors));
+    }
+
+    Object.defineProperty(config, 'sources', { value: files, enumerable: false });
+    return config;
+}
+
+// Apply a validated configuration to the scanner's detector list and settings
+function applyConfig(config) {
+    const errors = [];
+
+    (config.detectors || []).forEach((entry, index) => {
+        // Built-in generic detectors can be overridden or disabled too; new detectors join API_KEY_PATTERNS
+        const list = GENERIC_PATTERNS.some(d => d.name === entry.name) ? GENERIC_PATTERNS : API_KEY_PATTERNS;
+        const existingIndex = list.findIndex(d => d.name === entry.name);
+
+        if (entry.enabled === false) {
+            if (existingIndex !== -1) list.splice(existingIndex, 1);
+            return;
+        }
+
+        const detector = compileDetector(entry, `detectors[${index}]`, errors);
+        if (existingIndex !== -1) {
+            Object.assign(list[existingIndex], detector);
+        } else {
+            API_KEY_PATTERNS.push({ severity: 'MEDIUM', ...detector });
+        }
+    });
+
+    if (config.extensions) {
+        SCAN_EXTENSIONS.splice(0, SCAN_EXTENSIONS.length, ...config.extensions.map(ext => ext.toLowerCase()));
+    }
+
+    for (const glob of config.ignore || []) {
+        IGNORE_GLOBS.push(compileGlob(glob));
+    }
+
+    Object.assign(ARCHIVE_CONFIG, config.archive);
+    Object.assign(DECODE_CONFIG, config.decode);
+    Object.assign(BINARY_CONFIG, config.binary);
+    Object.assign(AI_CONFIG, config.ai);
+
+    for (const [key, value] of Object.entries(config.entropy || {})) {
+        ENTROPY_CONFIG[key] = typeof value === 'object' ? { ...ENTROPY_CONFIG[key], ...value } : value;
+    }
+
+    for (const [tool, toolConfig] of Object.entries(config.externalTools || {})) {
+        EXTERNAL_TOOLS_CONFIG[tool] = { ...EXTERNAL_TOOLS_CONFIG[tool], ...toolConfig };
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid configuration:\n${errors.map(e => `   - ${e}`).join('\n')}`);
+    }
+}
+
+// Compile an ignore glob, for both the `ignore` configuration and .sourcesecureignore, with .gitignore semantics: a
+// trailing "/" for directories only, a "/" at the start or in the middle to anchor the pattern to the scan root,
+// "**" across directories, "*", "?" and "[...]" within a path segment, and "\" to escape the next character.
+function compileGlob(glob) {
+    let pattern = glob;
+    const dirOnly = pattern.endsWith('/');
+    if (dirOnly) pattern = pattern.substring(0, pattern.length - 1);
+
+    const anchored = pattern.includes('/');
+    pattern = pattern.replace(/^\//, '');
+
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        const segmentStart = i === 0 || pattern[i - 1] === '/';
+
+        if (char === '\\' && i + 1 < pattern.length) {
+            source += pattern[++i].replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+        } else if (char === '*' && pattern[i + 1] === '*' && segmentStart && pattern[i + 2] === '/') {
+            source += '(?:.*/)?';
+            i += 2;
+        } else if (char === '*' && pattern[i + 1] === '*' && segmentStart && i + 2 === pattern.length) {
+            source += '.*';
+            i += 1;
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '[' && pattern.indexOf(']', i + 2) !== -1) {
+            const end = pattern.indexOf(']', i + 2);
+            let range = pattern.substring(i + 1, end).replace(/\\/g, '\\\\');
+            if (range.startsWith('!')) range = `^${range.substring(1)}`;
+            source += `[${range}]`;
+            i = end;
+        } else {
+            source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+
+    return {
+        regex: new RegExp(anchored ? `^${source}$` : `(?:^|/)${source}$`),
+        dirOnly
+    };
+}
+
+// Regex for an ignore glob (see compileGlob), without the directory-only flag of a trailing "/"
+function globToRegExp(glob) {
+    return compileGlob(glob).regex;
+}
+
+// Check whether a walked path should be skipped. isDirectory is only called when a directory-only glob matches.
+function shouldSkipPath(relativePath, name, isDirectory) {
+    if (IGNORE_PATTERNS.includes(name)) return true;
+
+    const normalized = relativePath.split(path.sep).join('/');
+    return IGNORE_GLOBS.some(glob => glob.regex.test(normalized) && (!glob.dirOnly || isDirectory()));
+}
+
+// Check whether a relative path (with "/" separators) to a file is under a skipped directory or is itself skipped
+function isIgnoredPath(relativePath) {
+    const segments = relativePath.split('/').filter(Boolean);
+    return segments.some((name, index) => shouldSkipPath(segments.slice(0, index + 1).join('/'), name, () => index < segments.length - 1));
+}
+
+// Check whether a file's extension is in the scan list
+function shouldScanFile(filePath) {
+    const ext = path.extname(filePath).toLowerCase();
+    return SCAN_EXTENSIONS.includes(ext) || ext === '' || (ext === '.backup' && SCAN_EXTENSIONS.includes('.tfstate') && /\.tfstate\.backup$/i.test(filePath));
+}
+
+// Suppression file in the scan root, with .gitignore syntax
+const IGNORE_FILE_NAME = '.sourcesecureignore';
+
+// Compiled rules from the .sourcesecureignore file, in file order
+const IGNORE_FILE_RULES = [];
+
+// Convert one .sourcesecureignore line to a rule: "#" comments and "!" negation as in .gitignore, and the glob
+// itself as in the `ignore` configuration (see compileGlob). Returns null for blank lines and comments.
+function compileIgnoreRule(line) {
+    let pattern = line.replace(/(^|[^\\])\s+$/, '$1');
+    if (!pattern || pattern.startsWith('#')) return null;
+
+    const negate = pattern.startsWith('!');
+    if (negate) pattern = pattern.substring(1);
+
+    return { ...compileGlob(pattern), negate };
+}
+
+// Load the scan root's .sourcesecureignore. The comment lines directly above a rule are kept as its justification.
+function loadIgnoreFile(scanRoot) {
+    const filePath = path.join(scanRoot, IGNORE_FILE_NAME);
+    if (!fs.existsSync(filePath)) return null;
+
+    let comments = [];
+    fs.readFileSync(filePath, 'utf8').split(/\r?\n/).forEach((line, index) => {
+        if (line.startsWith('#')) {
+            comments.push(line.replace(/^#+\s*/, ''));
+            return;
+        }
+
+        const rule = compileIgnoreRule(line);
+        if (rule) {
+            IGNORE_FILE_RULES.push({ ...rule, pattern: line.trim(), line: index + 1, reason: comments.join(' ').trim() || null });
+        }
+        if (!line.trim() || rule) comments = [];
+    });
+
+    return filePath;
+}
+
+// Find the .sourcesecureignore rule that suppresses a path relative to the scan root, or null. As in git, the
+// last matching rule wins, and files inside a suppressed directory can't be re-included with "!".
+function ignoreFileRuleFor(relativePath) {
+    const segments = relativePath.split(path.sep).join('/').split('/');
+
+    for (let depth = 1; depth <= segments.length; depth++) {
+        const candidate = segments.slice(0, depth).join('/');
+        const isDirectory = depth < segments.length;
+
+        let matched = null;
+        for (const rule of IGNORE_FILE_RULES) {
+            if (rule.dirOnly && !isDirectory) continue;
+            if (rule.regex.test(candidate)) matched = rule.negate ? null : rule;
+        }
+
+        if (matched || !isDirectory) return matched;
+    }
+
+    return null;
+}
+
+// Versions reported by external tools that were found, for report summaries
+const EXTERNAL_TOOL_VERSIONS = {};
+
+// Counters for the current run, reported in JSON summaries
+const SCAN_STATS = {
+    filesScanned: 0,
+    filesSkipped: 0,
+    errors: []
+};
+
 // Check if external tools are available
 async function checkExternalTool(toolName) {
     const config = EXTERNAL_TOOLS_CONFIG[toolName];
@@ -112,7 +658,8 @@ async function checkExternalTool(toolName) {
 
     // Try primary command first
     try {
-        await execPromise(`${config.command} --version`, { timeout: 5000 });
+        const { stdout, stderr } = await execPromise(`${config.command} --version`, { timeout: 5000 });
+        EXTERNAL_TOOL_VERSIONS[toolName] = (stdout || stderr).trim();
         return config.command; // Return the working command
     } catch (error) {
         // Try fallback commands if available
@@ -120,7 +667,8 @@ async function checkExternalTool(toolName) {
 
         for (const fallbackCmd of fallbackCommands) {
             try {
-                await execPromise(`${fallbackCmd} --version`, { timeout: 5000 });
+                const { stdout, stderr } = await execPromise(`${fallbackCmd} --version`, { timeout: 5000 });
+                EXTERNAL_TOOL_VERSIONS[toolName] = (stdout || stderr).trim();
                 console.log(`✅ ${toolName} using fallback: ${fallbackCmd}`);
                 return fallbackCmd; // Return the working fallback command
             } catch (fallbackError) {
@@ -163,6 +711,7 @@ async function runTruffleHog(targetPath, commandPath) {
                         file: result.SourceMetadata?.Data?.Filesystem?.file || 'Unknown file',
                         line: result.SourceMetadata?.Data?.Filesystem?.line || 0,
                         match: result.Raw.substring(0, 50) + (result.Raw.length > 50 ? '...' : ''),
+                        secretHash: hashSecret(result.Raw),
                         severity: result.Verified ? 'CRITICAL' : 'HIGH',
                         verified: result.Verified,
                         rawData: result.RawV2
@@ -260,6 +809,201 @@ function mergeFindingsWithExternal(internalFindings, externalFindings) {
     return allFindings;
 }
 
+// Hash a secret so it can be compared without being stored
+function hashSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+// Default baseline file name, created in the scan root
+const BASELINE_FILE_NAME = '.source-secure-baseline.json';
+
+// Path of a finding relative to the scan root, with forward slashes so baselines work across platforms
+function relativeFindingPath(finding, scanRoot) {
+    return path.relative(path.resolve(scanRoot), path.resolve(finding.file || '')).split(path.sep).join('/');
+}
+
+// Stable fingerprint for a finding: rule, path and hashed secret. Line numbers are left out so edits above a secret don't change it.
+function fingerprintFinding(finding, scanRoot) {
+    const secretHash = finding.secretHash || hashSecret(finding.match || '');
+    return hashSecret(`${finding.type}\0${relativeFindingPath(finding, scanRoot)}\0${secretHash}`);
+}
+
+// Build a baseline document from the current findings. Findings from git history keep the commit that added
+// them: their entries only apply to history.
+function createBaseline(findings, scanRoot) {
+    const entries = findings.map(finding => ({
+        fingerprint: fingerprintFinding(finding, scanRoot),
+        rule: finding.type,
+        file: relativeFindingPath(finding, scanRoot),
+        line: finding.line || null,
+        severity: finding.severity,
+        secretHash: finding.secretHash || hashSecret(finding.match || ''),
+        ...(finding.commit ? { commit: finding.commit } : {})
+    }));
+
+    entries.sort((a, b) => a.file.localeCompare(b.file) || (a.line || 0) - (b.line || 0) || a.rule.localeCompare(b.rule));
+
+    return {
+        version: 1,
+        tool: 'source-secure',
+        createdAt: new Date().toISOString(),
+        findings: entries
+    };
+}
+
+// Read and sanity-check a baseline file
+function loadBaseline(baselinePath) {
+    let baseline;
+    try {
+        baseline = JSON.parse(fs.readFileSync(baselinePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Cannot read baseline ${baselinePath}: ${error.message}`);
+    }
+
+    if (!baseline || baseline.version !== 1 || !Array.isArray(baseline.findings)) {
+        throw new Error(`Cannot read baseline ${baselinePath}: not a version 1 source-secure baseline`);
+    }
+
+    return baseline;
+}
+
+// Split findings into new and baselined ones, and list baseline entries that are no longer found.
+// Entries match on fingerprint first, then on rule + secret hash so that renamed files stay baselined.
+// Entries recorded from git history are left out.
+function compareWithBaseline(findings, baseline, scanRoot) {
+    const entries = baseline.findings.filter(entry => !entry.commit);
+    const remaining = new Set(entries);
+    const byFingerprint = new Map();
+    const bySecret = new Map();
+
+    for (const entry of entries) {
+        const secretKey = `${entry.rule}\0${entry.secretHash}`;
+        if (!byFingerprint.has(entry.fingerprint)) byFingerprint.set(entry.fingerprint, []);
+        if (!bySecret.has(secretKey)) bySecret.set(secretKey, []);
+        byFingerprint.get(entry.fingerprint).push(entry);
+        bySecret.get(secretKey).push(entry);
+    }
+
+    const takeEntry = (candidates = []) => {
+        const entry = candidates.find(e => remaining.has(e));
+        if (entry) remaining.delete(entry);
+        return entry;
+    };
+
+    const newFindings = [];
+    const baselinedFindings = [];
+    const unmatched = [];
+
+    for (const finding of findings) {
+        if (takeEntry(byFingerprint.get(fingerprintFinding(finding, scanRoot)))) {
+            baselinedFindings.push(finding);
+        } else {
+            unmatched.push(finding);
+        }
+    }
+
+    for (const finding of unmatched) {
+        const secretHash = finding.secretHash || hashSecret(finding.match || '');
+        const entry = takeEntry(bySecret.get(`${finding.type}\0${secretHash}`));
+        if (entry) {
+            finding.renamedFrom = entry.file;
+            baselinedFindings.push(finding);
+        } else {
+            newFindings.push(finding);
+        }
+    }
+
+    return {
+        newFindings,
+        baselinedFindings,
+        fixedEntries: entries.filter(entry => remaining.has(entry))
+    };
+}
+
+// Split findings from git history into new and baselined ones. They match every baseline entry the same way
+// as working tree findings, but an entry isn't used up: the same secret can be added by several commits.
+function compareHistoryWithBaseline(findings, baseline, scanRoot) {
+    const fingerprints = new Set(baseline.findings.map(entry => entry.fingerprint));
+    const secrets = new Set(baseline.findings.map(entry => `${entry.rule}\0${entry.secretHash}`));
+
+    const newFindings = [];
+    const baselinedFindings = [];
+    for (const finding of findings) {
+        const secretHash = finding.secretHash || hashSecret(finding.match || '');
+        const known = fingerprints.has(fingerprintFinding(finding, scanRoot)) || secrets.has(`${finding.type}\0${secretHash}`);
+        (known ? baselinedFindings : newFindings).push(finding);
+    }
+    return { newFindings, baselinedFindings };
+}
+
+// Size below which an archive or entry is never treated as a decompression bomb, whatever its ratio
+const MIN_BOMB_SIZE = 1024 * 1024;
+
+// Archive entries that are not extracted are reported as findings of these types
+const ARCHIVE_REFUSALS = {
+    traversal: { type: 'Archive Path Traversal', severity: 'MEDIUM' },
+    link: { type: 'Archive Link Escape', severity: 'MEDIUM' },
+    bomb: { type: 'Archive Bomb', severity: 'MEDIUM' },
+    limit: { type: 'Archive Not Fully Scanned', severity: 'LOW' }
+};
+
+// State shared by every nesting level of one scanned archive: the bytes that may still be extracted and the
+// entries refused so far
+function createExtractionState() {
+    return { remaining: ARCHIVE_CONFIG.maxExtractSize, refusals: [] };
+}
+
+// Record a refused entry of the archive at `chain` (the entries leading to it from the scanned archive, which
+// is []). entry is null when a whole archive is refused. Size and ratio limits are recorded once per archive,
+// since every entry after the first refused one is refused for the same reason.
+function refuseEntry(state, kind, chain, entry, reason) {
+    const archive = chain.join('\0');
+    if ((kind === 'limit' || kind === 'bomb') && state.refusals.some(r => r.kind === kind && r.chain.join('\0') === archive)) return;
+    state.refusals.push({ kind, chain, entry, reason });
+}
+
+// Whether target is extractDir or inside it
+function isInsideDirectory(extractDir, target) {
+    const root = path.resolve(extractDir);
+    return target === root || target.startsWith(root + path.sep);
+}
+
+// Whether an entry name stays inside its archive: not absolute and without ".." components
+function isSafeEntryName(entryName) {
+    const normalized = entryName.replace(/\\/g, '/');
+    return !/^[a-zA-Z]:/.test(normalized) && !normalized.startsWith('/') && !normalized.split('/').includes('..');
+}
+
+// Whether a symbolic link entry points inside its archive. In image layers (`layer`), absolute targets are
+// relative to the image's root filesystem.
+function isSafeLinkTarget(entryName, linkTarget, layer = false) {
+    if (path.posix.isAbsolute(linkTarget) && !layer) return false;
+
+    const resolved = path.posix.isAbsolute(linkTarget)
+        ? path.posix.normalize(`.${linkTarget}`)
+        : path.posix.normalize(path.posix.join(path.posix.dirname(entryName), linkTarget));
+    return resolved !== '..' && !resolved.startsWith('../');
+}
+
+// Reserve `size` bytes for an entry. Refused when the archive's size budget is used up, or when the data
+// (`extracted` bytes so far plus this entry) would be more than maxRatio times its compressed size. For ZIP
+// entries the ratio is the entry's own; for other formats, the whole archive's.
+function reserveExtractSize({ state, chain }, entryName, size, extracted, compressedSize) {
+    if (size > state.remaining) {
+        refuseEntry(state, 'limit', chain, entryName, `maxExtractSize (${ARCHIVE_CONFIG.maxExtractSize} bytes) reached; entries that did not fit were not extracted`);
+        return false;
+    }
+
+    const total = extracted + size;
+    if (total > MIN_BOMB_SIZE && total > compressedSize * ARCHIVE_CONFIG.maxRatio) {
+        refuseEntry(state, 'bomb', chain, entryName, `expands to more than ${ARCHIVE_CONFIG.maxRatio} times its compressed size of ${compressedSize} bytes; not extracted`);
+        return false;
+    }
+
+    state.remaining -= size;
+    return true;
+}
+
 // Check if a file is an archive
 function isArchive(filePath) {
     if (!ARCHIVE_CONFIG.enabled) return false;
@@ -268,100 +1012,211 @@ function isArchive(filePath) {
     return ARCHIVE_EXTENSIONS.includes(ext);
 }
 
-// Extract ZIP files
-async function extractZip(zipPath, extractDir) {
+// Archives are read from a file on disk ({ path }) or, when nested, from the enclosing archive's entry
+// ({ buffer })
+function readArchiveSource(source) {
+    return source.buffer || fs.readFileSync(source.path);
+}
+
+function archiveSourceSize(source) {
+    return source.buffer ? source.buffer.length : fs.statSync(source.path).size;
+}
+
+// Read the file entries of a ZIP archive into memory one at a time, handing each to onEntry before the next
+// is read (only those whose name passes `select`, when given). Entry names are checked before anything is read,
+// and sizes are reserved from the header (yauzl fails the entry if the data doesn't match it). Symbolic links
+// are not followed; those pointing outside the archive are reported.
+function readZipEntries(source, context, onEntry, { select = null } = {}) {
     return new Promise((resolve, reject) => {
         if (!yauzl) {
             reject(new Error('yauzl library not available'));
             return;
         }
 
-        yauzl.open(zipPath, { lazyEntries: true }, (err, zipfile) => {
+        // Names are decoded here rather than by yauzl, which rejects the whole archive for one unsafe name
+        const options = { lazyEntries: true, decodeStrings: false };
+        const onOpen = (err, zipfile) => {
             if (err) {
                 reject(err);
                 return;
             }
 
-            let extractedSize = 0;
-            const maxSize = ARCHIVE_CONFIG.maxExtractSize;
+            const fail = (error) => {
+                zipfile.close();
+                reject(error);
+            };
 
             zipfile.readEntry();
             zipfile.on('entry', (entry) => {
-                if (entry.uncompressedSize > maxSize - extractedSize) {
-                    zipfile.close();
-                    reject(new Error('Archive too large to extract'));
-                    return;
-                }
+                const fileName = yauzl.getFileNameLowLevel(entry.generalPurposeBitFlag, entry.fileName, entry.extraFields, false);
+                const isSymlink = ((entry.externalFileAttributes >>> 16) & 0o170000) === 0o120000;
 
-                if (/\/$/.test(entry.fileName)) {
-                    // Directory entry
-                    const dirPath = path.join(extractDir, entry.fileName);
-                    fs.mkdirSync(dirPath, { recursive: true });
+                if (!isSafeEntryName(fileName)) {
+                    refuseEntry(context.state, 'traversal', context.chain, fileName, 'absolute path or "../" outside the archive');
+                    zipfile.readEntry();
+                } else if (/\/$/.test(fileName) || (select && !select(fileName)) ||
+                    !reserveExtractSize(context, fileName, entry.uncompressedSize, 0, entry.compressedSize)) {
+                    // Directory entry, not selected, or refused
                     zipfile.readEntry();
                 } else {
-                    // File entry
                     zipfile.openReadStream(entry, (err, readStream) => {
                         if (err) {
-                            zipfile.close();
-                            reject(err);
+                            fail(err);
                             return;
                         }
 
-                        const filePath = path.join(extractDir, entry.fileName);
-                        const fileDir = path.dirname(filePath);
-                        fs.mkdirSync(fileDir, { recursive: true });
-
-                        const writeStream = fs.createWriteStream(filePath);
-                        readStream.pipe(writeStream);
-
-                        writeStream.on('close', () => {
-                            extractedSize += entry.uncompressedSize;
-                            zipfile.readEntry();
-                        });
-
-                        writeStream.on('error', (err) => {
-                            zipfile.close();
-                            reject(err);
+                        const chunks = [];
+                        readStream.on('data', chunk => chunks.push(chunk));
+                        readStream.on('error', fail);
+                        readStream.on('end', () => {
+                            const data = Buffer.concat(chunks);
+                            if (isSymlink) {
+                                // The data of a link entry is its target
+                                const linkTarget = data.toString('utf8');
+                                if (!isSafeLinkTarget(fileName, linkTarget)) {
+                                    refuseEntry(context.state, 'link', context.chain, fileName, `symbolic link to ${linkTarget}`);
+                                }
+                                zipfile.readEntry();
+                                return;
+                            }
+
+                            Promise.resolve(onEntry({ name: fileName, data }))
+                                .then(() => zipfile.readEntry())
+                                .catch(fail);
                         });
                     });
                 }
             });
 
-            zipfile.on('end', () => {
-                resolve(extractedSize);
-            });
-
+            zipfile.on('end', () => resolve());
             zipfile.on('error', reject);
-        });
-    });
-}
+        };
 
-// Extract TAR files
-async function extractTar(tarPath, extractDir) {
+        if (source.buffer) {
+            yauzl.fromBuffer(source.buffer, options, onOpen);
+        } else {
+            yauzl.open(source.path, options, onOpen);
+        }
+    });
+}
+
+// Read the entries of a TAR archive (plain or gzip-compressed) into memory. Links are never followed: they
+// are listed without data, and those pointing outside the archive are reported. In image layers (`layer`),
+// absolute symbolic link targets are relative to the image's root filesystem.
+function readTarEntries(source, context, { layer = false } = {}) {
     return new Promise((resolve, reject) => {
         if (!tar) {
             reject(new Error('tar library not available'));
             return;
         }
 
-        const options = {
-            file: tarPath,
-            cwd: extractDir,
-            maxReadSize: ARCHIVE_CONFIG.maxExtractSize,
-            filter: (path, entry) => {
-                // Skip entries that would exceed size limit
-                return entry.size <= ARCHIVE_CONFIG.maxExtractSize;
+        const compressedSize = archiveSourceSize(source);
+        const entries = [];
+        let extractedSize = 0;
+        let invalid = null;
+
+        const parser = new tar.Parser();
+        parser.on('entry', (entry) => {
+            const entryPath = entry.path.replace(/^(\.\/)+/, '');
+
+            if (!isSafeEntryName(entryPath)) {
+                refuseEntry(context.state, 'traversal', context.chain, entryPath, 'absolute path or "../" outside the archive');
+                entry.resume();
+                return;
             }
-        };
 
-        tar.extract(options)
-            .then(() => resolve(0))  // Size tracking not implemented for tar
-            .catch(reject);
+            if (entry.type === 'SymbolicLink' || entry.type === 'Link') {
+                const isSymlink = entry.type === 'SymbolicLink';
+                const safe = isSymlink ? isSafeLinkTarget(entryPath, entry.linkpath, layer) : isSafeEntryName(entry.linkpath);
+                if (!safe) {
+                    refuseEntry(context.state, 'link', context.chain, entryPath, `${isSymlink ? 'symbolic' : 'hard'} link to ${entry.linkpath}`);
+                }
+                entries.push({ name: entryPath, data: null });
+                entry.resume();
+                return;
+            }
+
+            const size = entry.size || 0;
+            if (!['File', 'OldFile', 'ContiguousFile'].includes(entry.type) ||
+                !reserveExtractSize(context, entryPath, size, extractedSize, compressedSize)) {
+                entry.resume();
+                return;
+            }
+            extractedSize += size;
+
+            const chunks = [];
+            entry.on('data', chunk => chunks.push(chunk));
+            entry.on('end', () => entries.push({ name: entryPath, data: Buffer.concat(chunks) }));
+        });
+
+        parser.on('warn', (code, message) => {
+            if (code === 'TAR_BAD_ARCHIVE') invalid = new Error(message);
+        });
+        parser.on('error', reject);
+        parser.on('end', () => (invalid ? reject(invalid) : resolve(entries)));
+
+        if (source.buffer) {
+            parser.end(source.buffer);
+        } else {
+            fs.createReadStream(source.path).on('error', reject).pipe(parser);
+        }
     });
 }
 
+// Decompress a single gzip-compressed file into memory, stopping at the size budget or ratio
+async function readGzipEntries(source, name, context) {
+    const compressed = readArchiveSource(source);
+    const entryName = path.posix.basename(name).replace(/\.gz$/i, '');
+    const ratioLimit = Math.max(MIN_BOMB_SIZE, compressed.length * ARCHIVE_CONFIG.maxRatio);
+    const maxOutputLength = Math.min(context.state.remaining, ratioLimit);
+
+    let data;
+    try {
+        data = maxOutputLength > 0 ? await gunzipPromise(compressed, { maxOutputLength }) : null;
+    } catch (error) {
+        if (error.code !== 'ERR_BUFFER_TOO_LARGE') throw error;
+    }
+
+    // Too large: reserving one byte over the limit records the refusal
+    const size = data ? data.length : maxOutputLength + 1;
+    return reserveExtractSize(context, entryName, size, 0, compressed.length) ? [{ name: entryName, data }] : [];
+}
+
+// Archives extracted by 7-Zip or a system command are checked once extracted: every symbolic link is removed
+// (and reported when it points outside extractDir), and everything is removed again when the archive is over
+// the size budget or ratio. Returns the extracted size.
+function auditExtractedTree(archivePath, extractDir, context) {
+    let size = 0;
+
+    (function walkExtracted(dir) {
+        for (const item of fs.readdirSync(dir)) {
+            const fullPath = path.join(dir, item);
+            const stats = fs.lstatSync(fullPath);
+
+            if (stats.isSymbolicLink()) {
+                const linkTarget = fs.readlinkSync(fullPath);
+                if (!isInsideDirectory(extractDir, path.resolve(dir, linkTarget))) {
+                    refuseEntry(context.state, 'link', context.chain, path.relative(extractDir, fullPath).split(path.sep).join('/'), `symbolic link to ${linkTarget}`);
+                }
+                fs.unlinkSync(fullPath);
+            } else if (stats.isDirectory()) {
+                walkExtracted(fullPath);
+            } else {
+                size += stats.size;
+            }
+        }
+    })(extractDir);
+
+    if (!reserveExtractSize(context, null, size, 0, fs.statSync(archivePath).size)) {
+        fs.rmSync(extractDir, { recursive: true, force: true });
+        fs.mkdirSync(extractDir, { recursive: true });
+        return 0;
+    }
+    return size;
+}
+
 // Extract 7z/RAR files
-async function extract7z(archivePath, extractDir) {
+async function extract7z(archivePath, extractDir, context) {
     return new Promise((resolve, reject) => {
         if (!node7z) {
             reject(new Error('node-7z library not available'));
@@ -376,219 +1231,422 @@ async function extract7z(archivePath, extractDir) {
 
         const stream = node7z.extractFull(archivePath, extractDir, options);
 
-        let extractedSize = 0;
-
-        stream.on('data', (data) => {
-            // Track progress if needed
-            if (data.file) {
-                extractedSize += data.file.size || 0;
-                if (extractedSize > ARCHIVE_CONFIG.maxExtractSize) {
-                    stream.destroy();
-                    reject(new Error('Archive too large to extract'));
-                    return;
-                }
-            }
-        });
-
         stream.on('end', () => {
-            resolve(extractedSize);
+            try {
+                resolve(auditExtractedTree(archivePath, extractDir, context));
+            } catch (error) {
+                reject(error);
+            }
         });
 
         stream.on('error', (err) => {
             // Fallback to system command if node-7z fails
-            extractWithSystemCommand(archivePath, extractDir)
+            extractWithSystemCommand(archivePath, extractDir, context)
                 .then(resolve)
                 .catch(reject);
         });
     });
 }
 
-// Fallback extraction using system commands
-async function extractWithSystemCommand(archivePath, extractDir) {
+// Decompress a single-file archive (.bz2, .xz) with a system command, counting the output as it is written
+// so that a bomb is stopped instead of filling the disk
+function decompressToFile(command, args, archivePath, outputPath, context) {
+    return new Promise((resolve, reject) => {
+        const compressedSize = fs.statSync(archivePath).size;
+        const child = spawn(command, args, { stdio: ['ignore', 'pipe', 'ignore'] });
+        const output = fs.createWriteStream(outputPath);
+        const timer = setTimeout(() => child.kill(), ARCHIVE_CONFIG.timeout);
+        let written = 0;
+        let refused = false;
+
+        child.stdout.on('data', (chunk) => {
+            if (refused) return;
+            if (!reserveExtractSize(context, path.basename(outputPath), chunk.length, written, compressedSize)) {
+                refused = true;
+                child.kill();
+                return;
+            }
+            written += chunk.length;
+            output.write(chunk);
+        });
+
+        child.on('error', (error) => {
+            clearTimeout(timer);
+            output.destroy();
+            reject(new Error(`Failed to extract ${archivePath}: ${error.message}`));
+        });
+
+        child.on('close', (code) => {
+            clearTimeout(timer);
+            output.end(() => {
+                if (refused) {
+                    fs.rmSync(outputPath, { force: true });
+                    resolve(0);
+                } else if (code !== 0) {
+                    reject(new Error(`Failed to extract ${archivePath}: ${command} exited with code ${code}`));
+                } else {
+                    resolve(written);
+                }
+            });
+        });
+    });
+}
+
+// Extraction with system commands, for the formats that aren't read in memory. Paths are passed as
+// arguments, never through a shell.
+async function extractWithSystemCommand(archivePath, extractDir, context) {
     const ext = path.extname(archivePath).toLowerCase();
-    let command = '';
+    const archive = path.resolve(archivePath);
+    const target = path.resolve(extractDir);
+
+    const decompressors = {
+        '.bz2': ['bunzip2', ['-c', archive]],
+        '.xz': ['unxz', ['-c', archive]]
+    };
+    if (decompressors[ext]) {
+        const [command, args] = decompressors[ext];
+        return decompressToFile(command, args, archivePath, path.join(target, path.basename(archivePath, ext)), context);
+    }
+
+    let command;
+    let args;
 
     switch (ext) {
-        case '.zip':
-        case '.jar':
-        case '.war':
-        case '.ear':
-            command = `unzip -q "${archivePath}" -d "${extractDir}"`;
-            break;
-        case '.tar':
-            command = `tar -xf "${archivePath}" -C "${extractDir}"`;
-            break;
-        case '.tar.gz':
-        case '.tgz':
-            command = `tar -xzf "${archivePath}" -C "${extractDir}"`;
-            break;
-        case '.tar.bz2':
         case '.tbz2':
-            command = `tar -xjf "${archivePath}" -C "${extractDir}"`;
+            [command, args] = ['tar', ['-xjf', archive, '-C', target]];
             break;
-        case '.tar.xz':
         case '.txz':
-            command = `tar -xJf "${archivePath}" -C "${extractDir}"`;
+            [command, args] = ['tar', ['-xJf', archive, '-C', target]];
             break;
         case '.7z':
-            command = `7z x "${archivePath}" -o"${extractDir}" -y`;
+            [command, args] = ['7z', ['x', archive, `-o${target}`, '-y']];
             break;
         case '.rar':
-            command = `unrar x "${archivePath}" "${extractDir}/"`;
-            break;
-        case '.gz':
-            const gzBase = path.basename(archivePath, '.gz');
-            command = `gunzip -c "${archivePath}" > "${path.join(extractDir, gzBase)}"`;
-            break;
-        case '.bz2':
-            const bz2Base = path.basename(archivePath, '.bz2');
-            command = `bunzip2 -c "${archivePath}" > "${path.join(extractDir, bz2Base)}"`;
-            break;
-        case '.xz':
-            const xzBase = path.basename(archivePath, '.xz');
-            command = `unxz -c "${archivePath}" > "${path.join(extractDir, xzBase)}"`;
+            [command, args] = ['unrar', ['x', archive, `${target}${path.sep}`]];
             break;
         default:
             throw new Error(`Unsupported archive format: ${ext}`);
     }
 
     try {
-        await execPromise(command, { timeout: ARCHIVE_CONFIG.timeout });
-        return 0; // Size not tracked for system commands
+        await execFilePromise(command, args, { timeout: ARCHIVE_CONFIG.timeout });
     } catch (error) {
         throw new Error(`Failed to extract ${archivePath}: ${error.message}`);
     }
+    return auditExtractedTree(archivePath, extractDir, context);
 }
 
-// Main archive extraction function
-async function extractArchive(archivePath, extractDir, depth = 0) {
-    if (depth >= ARCHIVE_CONFIG.maxDepth) {
-        console.log(`⚠️  Skipping nested archive (depth ${depth}): ${archivePath}`);
-        return 0;
-    }
-
-    const ext = path.extname(archivePath).toLowerCase();
-
-    console.log(`📦 Extracting ${ext} archive: ${path.basename(archivePath)}`);
-
-    // Ensure extraction directory exists
-    fs.mkdirSync(extractDir, { recursive: true });
+// 7z, RAR, bzip2 and xz archives need 7-Zip or a system command: they are extracted to a temporary directory
+// (nested ones are written there first), read back into memory, and the directory is removed
+async function readExtractedEntries(source, name, context) {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'source-secure-'));
 
     try {
-        let extractedSize = 0;
+        let archivePath = source.path;
+        if (!archivePath) {
+            archivePath = path.join(tempDir, path.posix.basename(name));
+            fs.writeFileSync(archivePath, source.buffer);
+        }
 
-        // Choose extraction method based on file type
-        if (['.zip', '.jar', '.war', '.ear'].includes(ext)) {
-            extractedSize = await extractZip(archivePath, extractDir);
-        } else if (ext.startsWith('.tar') || ['.tar', '.tgz', '.tbz2', '.txz'].includes(ext)) {
-            extractedSize = await extractTar(archivePath, extractDir);
-        } else if (['.7z', '.rar'].includes(ext)) {
-            extractedSize = await extract7z(archivePath, extractDir);
-        } else if (['.gz', '.bz2', '.xz'].includes(ext)) {
-            extractedSize = await extractWithSystemCommand(archivePath, extractDir);
+        const extractDir = path.join(tempDir, 'extracted');
+        fs.mkdirSync(extractDir);
+        if (['.7z', '.rar'].includes(path.extname(name).toLowerCase())) {
+            await extract7z(archivePath, extractDir, context);
         } else {
-            extractedSize = await extractWithSystemCommand(archivePath, extractDir);
+            await extractWithSystemCommand(archivePath, extractDir, context);
         }
 
-        console.log(`✅ Extracted ${path.basename(archivePath)} (${extractedSize} bytes)`);
-
-        // Look for nested archives in extracted content
-        const extractedFiles = fs.readdirSync(extractDir, { recursive: true });
-        for (const file of extractedFiles) {
+        const entries = [];
+        for (const file of fs.readdirSync(extractDir, { recursive: true })) {
             const fullPath = path.join(extractDir, file);
-            if (fs.statSync(fullPath).isFile() && isArchive(fullPath)) {
-                const nestedExtractDir = path.join(extractDir, `nested_${Date.now()}_${Math.random().toString(36).substring(7)}`);
-                await extractArchive(fullPath, nestedExtractDir, depth + 1);
+            if (fs.lstatSync(fullPath).isFile()) {
+                entries.push({ name: file.split(path.sep).join('/'), data: fs.readFileSync(fullPath) });
             }
         }
-
-        return extractedSize;
-    } catch (error) {
-        console.log(`❌ Failed to extract ${path.basename(archivePath)}: ${error.message}`);
-        return 0;
+        return entries;
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
     }
 }
 
-// Scan archive contents
-async function scanArchive(archivePath, useAI = false) {
-    const tempId = `source-secure-${Date.now()}-${Math.random().toString(36).substring(7)}`;
-    const tempDir = path.join(os.tmpdir(), tempId);
+// Apply the directory walk's ignore rules to every directory of an entry path, then its extension rules.
+// Nested archives are selected by the ignore rules only, like archives on disk.
+function isSelectedArchiveEntry(entryName) {
+    if (isIgnoredPath(entryName)) return false;
+    return isArchive(entryName) || shouldScanFile(entryName);
+}
 
-    try {
-        console.log(`🔍 Scanning archive: ${path.basename(archivePath)}`);
+// Scan one archive entry in memory: nested archives are read in turn, other files go through the same
+// pipeline as files on disk. Findings carry every entry from the scanned archive down to the file.
+async function scanArchiveEntry(entry, context) {
+    if (!entry.data) return [];
+    if (!isSelectedArchiveEntry(entry.name)) {
+        SCAN_STATS.filesSkipped++;
+        return [];
+    }
 
-        // Extract archive to temporary directory
-        const extractedSize = await extractArchive(archivePath, tempDir);
+    const chain = [...context.chain, entry.name];
+    const label = `${context.archivePath} → ${chain.join(' → ')}`;
 
-        if (extractedSize === 0 && !fs.existsSync(tempDir)) {
-            return [];
+    // A corrupt nested archive or document is recorded as a read error; the other entries are still scanned
+    try {
+        if (isArchive(entry.name)) {
+            return await scanArchiveSource({ buffer: entry.data }, entry.name, { ...context, chain, depth: context.depth + 1 });
         }
 
-        // Recursively scan extracted contents
-        const findings = [];
-        await scanDirectoryRecursive(tempDir, findings, useAI);
-
-        // Add archive context to findings
-        const archiveFindings = findings.map(finding => ({
+        const findings = await scanBuffer(entry.data, label, context.useAI);
+        return findings.map(finding => ({
             ...finding,
-            file: `${archivePath} → ${path.relative(tempDir, finding.file)}`,
-            inArchive: archivePath
+            file: label,
+            inArchive: context.archivePath,
+            archiveEntries: chain,
+            archiveEntry: chain.join(' → ')
         }));
+    } catch (error) {
+        console.log(`❌ Failed to read ${label}: ${error.message}`);
+        SCAN_STATS.errors.push({ file: label, message: error.message });
+        return [];
+    }
+}
+
+// Read an archive's entries and scan them. ZIP entries are scanned as they are read; the entries of other
+// formats are read first, since a tarball is only known to be a container image once its manifest.json,
+// which may come last, is read.
+async function scanArchiveSource(source, name, context) {
+    if (context.depth >= ARCHIVE_CONFIG.maxDepth) {
+        refuseEntry(context.state, 'limit', context.chain, null, `nested deeper than maxDepth (${ARCHIVE_CONFIG.maxDepth}); not extracted`);
+        return [];
+    }
+
+    const lower = name.toLowerCase();
+    const findings = [];
+
+    if (/\.(zip|jar|war|ear)$/.test(lower)) {
+        await readZipEntries(source, context, async (entry) => {
+            findings.push(...await scanArchiveEntry(entry, context));
+        });
+        return findings;
+    }
+
+    let entries;
+    if (/\.(tar|tar\.gz|tgz)$/.test(lower)) {
+        entries = await readTarEntries(source, context);
+
+        // `docker save` tarballs are scanned layer by layer
+        const manifest = readImageManifest(entries);
+        if (manifest) return scanContainerImage(entries, manifest, context);
+    } else if (lower.endsWith('.gz')) {
+        entries = await readGzipEntries(source, name, context);
+    } else {
+        entries = await readExtractedEntries(source, name, context);
+    }
+
+    for (const entry of entries) {
+        findings.push(...await scanArchiveEntry(entry, context));
+    }
+    return findings;
+}
+
+// Report an entry that was not extracted as a finding on the archive, so that it shows in every report format
+function refusalFinding(refusal, archivePath) {
+    const entries = [...refusal.chain, refusal.entry].filter(Boolean);
+    const { type, severity } = ARCHIVE_REFUSALS[refusal.kind];
+
+    return {
+        type,
+        severity,
+        file: [archivePath, ...entries].join(' → '),
+        match: entries.length > 0 ? entries[entries.length - 1] : path.basename(archivePath),
+        secretHash: hashSecret(`${refusal.kind}\0${entries.join(' → ')}`),
+        inArchive: archivePath,
+        archiveEntries: entries,
+        archiveEntry: entries.join(' → ') || null,
+        warning: refusal.reason
+    };
+}
+
+// Scan archive contents. Entries are read into memory and scanned as they are read, nested archives
+// included; only the formats that need 7-Zip or a system command go through a temporary directory.
+// The archive is read from archivePath unless its content is given as source ({ buffer }), as for git blobs.
+async function scanArchive(archivePath, useAI = false, source = { path: archivePath }) {
+    const state = createExtractionState();
 
-        return archiveFindings;
+    try {
+        console.log(`🔍 Scanning archive: ${path.basename(archivePath)}`);
+        const findings = await scanArchiveSource(source, archivePath, { archivePath, chain: [], depth: 0, state, useAI });
+        return [...findings, ...state.refusals.map(refusal => refusalFinding(refusal, archivePath))];
     } catch (error) {
         console.log(`❌ Error scanning archive ${path.basename(archivePath)}: ${error.message}`);
-        return [];
-    } finally {
-        // Clean up temporary directory
-        try {
-            if (fs.existsSync(tempDir)) {
-                fs.rmSync(tempDir, { recursive: true, force: true });
-            }
-        } catch (cleanupError) {
-            console.log(`⚠️  Warning: Failed to clean up temp directory: ${cleanupError.message}`);
+        SCAN_STATS.errors.push({ file: archivePath, message: error.message });
+        return state.refusals.map(refusal => refusalFinding(refusal, archivePath));
+    }
+}
+
+// A `docker save` tarball (in the legacy or the OCI layout) has a manifest.json listing the config file and
+// the layer tarballs of each image. Returns the manifest, or null for any other archive.
+function readImageManifest(entries) {
+    const manifestEntry = entries.find(entry => entry.name === 'manifest.json' && entry.data);
+    if (!manifestEntry) return null;
+
+    try {
+        const manifest = JSON.parse(manifestEntry.data.toString('utf8'));
+        const isImage = image => image && typeof image.Config === 'string' && Array.isArray(image.Layers);
+        return Array.isArray(manifest) && manifest.length > 0 && manifest.every(isImage) ? manifest : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// "sha256:0123456789ab" for display; reports carry the full digest
+function shortDigest(digest) {
+    return digest.replace(/^(sha256:[0-9a-f]{12})[0-9a-f]+$/, '$1');
+}
+
+// "app:1.0 → layer sha256:0123456789ab → /etc/app.conf", or "app:1.0 → config" for the image config
+function describeImageLocation(image) {
+    return image.layer ? `${image.name} → layer ${shortDigest(image.layer)} → ${image.path}` : `${image.name} → config`;
+}
+
+// Whether a file added by layers[index] is what the final filesystem shows: no later layer replaces it,
+// deletes it or one of its directories, or empties one of its directories
+function isVisibleInImage(filePath, index, layers) {
+    const segments = filePath.split('/');
+    const directories = segments.slice(0, -1).map((_, i) => segments.slice(0, i + 1).join('/'));
+
+    return layers.slice(index + 1).every(layer =>
+        !layer.files.has(filePath) &&
+        !layer.whiteouts.has(filePath) &&
+        !directories.some(dir => layer.whiteouts.has(dir) || layer.opaqueDirs.has(dir)) &&
+        !layer.opaqueDirs.has(''));
+}
+
+// Read one layer tarball (plain or gzip-compressed) and scan its files, listing along the way the paths it
+// adds and those it deletes from lower layers: `.wh.<name>` removes one path, `.wh..wh..opq` empties a
+// directory. Links are listed but not followed, since they point into the image, not the host.
+async function scanImageLayer(blob, layerEntry, context) {
+    if (!blob) throw new Error('layer not found in the image tarball');
+
+    // The blob was counted against maxExtractSize when the image tarball was read. Its contents are counted as
+    // they are read instead, so a layer isn't counted twice.
+    context.state.remaining += blob.length;
+
+    const layerContext = { ...context, chain: [...context.chain, layerEntry], depth: context.depth + 1 };
+    const entries = { files: new Set(), whiteouts: new Set(), opaqueDirs: new Set() };
+    const findings = [];
+
+    for (const entry of await readTarEntries({ buffer: blob }, layerContext, { layer: true })) {
+        const segments = entry.name.replace(/\/$/, '').split('/');
+        const item = segments.pop();
+        const dir = segments.join('/');
+
+        if (item === '.wh..wh..opq') {
+            entries.opaqueDirs.add(dir);
+        } else if (item.startsWith('.wh.')) {
+            entries.whiteouts.add(dir ? `${dir}/${item.substring(4)}` : item.substring(4));
+        } else {
+            entries.files.add(entry.name);
+            findings.push(...await scanArchiveEntry(entry, layerContext));
         }
     }
+
+    return { entries, findings };
 }
 
-// Helper function to scan directory recursively
-async function scanDirectoryRecursive(dir, findings, useAI = false) {
-    const scanPromises = [];
+// Scan the parts of an image config that end up in `docker inspect` and `docker history`: the environment
+// variables (Env) and the build command of each layer (history[].created_by, which includes build arguments).
+// Findings are located by key path; a secret set with ENV is reported once, at Env.
+async function scanImageConfig(imageConfig, archivePath, useAI = false) {
+    const findings = [];
+    const seen = new Set();
 
-    function walkDir(currentDir) {
-        const items = fs.readdirSync(currentDir);
-        for (const item of items) {
-            const fullPath = path.join(currentDir, item);
+    const env = ((imageConfig.config || {}).Env || []).filter(value => typeof value === 'string');
+    for (const finding of await scanContent(env.join('\n'), path.join(archivePath, 'Env.env'), useAI)) {
+        seen.add(`${finding.type}\0${finding.secretHash}`);
+        findings.push({ ...finding, keyPath: `config.Env[${finding.line - 1}]` });
+    }
 
-            // Skip system directories
-            if (item === '.git' || item === 'node_modules' || item === 'dist' || item === 'build') {
-                continue;
-            }
+    const commandLines = [];
+    const commands = [];
+    (imageConfig.history || []).forEach((entry, index) => {
+        if (typeof entry.created_by !== 'string') return;
+        for (const line of entry.created_by.split('\n')) {
+            commandLines.push(index);
+            commands.push(line);
+        }
+    });
+    for (const finding of await scanContent(commands.join('\n'), path.join(archivePath, 'history.sh'), useAI)) {
+        if (seen.has(`${finding.type}\0${finding.secretHash}`)) continue;
+        findings.push({ ...finding, keyPath: `history[${commandLines[finding.line - 1]}].created_by` });
+    }
 
-            const stats = fs.statSync(fullPath);
-            if (stats.isDirectory()) {
-                walkDir(fullPath);
-            } else if (stats.isFile()) {
-                // Check if file should be scanned (use same logic as main scanner)
-                const ext = path.extname(fullPath).toLowerCase();
-                const scanExtensions = ['.js', '.py', '.json', '.env', '.yml', '.yaml', '.xml', '.config', '.conf', '.properties', '.sh', '.bash'];
+    return findings.map(({ line, column, endLine, ...finding }) => finding);
+}
+
+// Scan a `docker save` tarball image by image: the image config, then every layer, including files that a
+// later layer deleted or replaced. Each finding records the image, the layer digest, the path in the image,
+// and whether that file is still visible in the final filesystem.
+async function scanContainerImage(tarEntries, manifest, context) {
+    const { archivePath, chain, useAI } = context;
+    const imageLabel = [archivePath, ...chain].join(' → ');
+    const blobs = new Map(tarEntries.filter(entry => entry.data).map(entry => [entry.name, entry.data]));
+    const findings = [];
+    const scannedLayers = new Map();
+
+    for (const entry of manifest) {
+        let imageConfig = {};
+        try {
+            imageConfig = JSON.parse((blobs.get(entry.Config) || '').toString('utf8'));
+        } catch (error) {
+            SCAN_STATS.errors.push({ file: `${imageLabel} → ${entry.Config}`, message: error.message });
+        }
 
-                if (scanExtensions.includes(ext) || ext === '') {
-                    scanPromises.push(scanFile(fullPath, useAI));
+        const configDigest = entry.Config.replace(/^blobs\/sha256\/|\.json$/g, '');
+        const name = (entry.RepoTags && entry.RepoTags[0]) || shortDigest(`sha256:${configDigest}`);
+        const diffIds = (imageConfig.rootfs && imageConfig.rootfs.diff_ids) || [];
+        console.log(`🐳 Scanning image ${name} (${entry.Layers.length} layer(s))`);
+
+        for (const finding of await scanImageConfig(imageConfig, archivePath, useAI)) {
+            const image = { name, layer: null, path: null, visible: null };
+            const archiveEntries = [...chain, entry.Config];
+            findings.push({
+                ...finding,
+                file: `${imageLabel} → ${describeImageLocation(image)}`,
+                inArchive: archivePath,
+                archiveEntries,
+                archiveEntry: archiveEntries.join(' → '),
+                image
+            });
+        }
+
+        const layers = [];
+        for (const [index, layerEntry] of entry.Layers.entries()) {
+            if (!scannedLayers.has(layerEntry)) {
+                try {
+                    scannedLayers.set(layerEntry, await scanImageLayer(blobs.get(layerEntry), layerEntry, context));
+                } catch (error) {
+                    SCAN_STATS.errors.push({ file: `${imageLabel} → ${layerEntry}`, message: error.message });
+                    scannedLayers.set(layerEntry, { entries: { files: new Set(), whiteouts: new Set(), opaqueDirs: new Set() }, findings: [] });
                 }
             }
+            layers.push({ digest: diffIds[index] || `sha256:${layerEntry.replace(/^blobs\/sha256\/|\/layer\.tar$/g, '')}`, ...scannedLayers.get(layerEntry) });
         }
-    }
 
-    walkDir(dir);
-
-    // Wait for all scans to complete
-    const allFindings = await Promise.all(scanPromises);
-    for (const fileFindings of allFindings) {
-        if (Array.isArray(fileFindings)) {
-            findings.push(...fileFindings);
+        const layerEntries = layers.map(layer => layer.entries);
+        for (const [index, layer] of layers.entries()) {
+            for (const finding of layer.findings) {
+                // The entries inside the layer: the file, then the entries of any archive it is
+                const layerPath = finding.archiveEntries.slice(chain.length + 1);
+                const image = { name, layer: layer.digest, path: `/${layerPath.join(' → ')}`, visible: isVisibleInImage(layerPath[0], index, layerEntries) };
+                findings.push({
+                    ...finding,
+                    file: `${imageLabel} → ${describeImageLocation(image)}`,
+                    image
+                });
+            }
         }
     }
+
+    return findings;
 }
 
 // Generic Patterns (with context validation)
@@ -596,8 +1654,8 @@ const GENERIC_PATTERNS = [
 
     // SSH/SSL/Certificates
     { name: 'RSA Private Key', pattern: /-----BEGIN\s*(?:RSA|OPENSSH|DSA|EC|PGP)?\s*PRIVATE KEY(?:\s*BLOCK)?-----/gi, severity: 'CRITICAL' },
-    { name: 'SSH Private Key', pattern: /-----BEGIN SSH2 ENCRYPTED PRIVATE KEY-----/gi, severity: 'CRITICAL' },
-    { name: 'PEM Certificate', pattern: /-----BEGIN CERTIFICATE-----/gi, severity: 'LOW' },
+    { name: 'SSH Private Key', pattern: /-{5}BEGIN SSH2 ENCRYPTED PRIVATE KEY-{5}/gi, severity: 'CRITICAL' },
+    { name: 'PEM Certificate', pattern: /-{5}BEGIN CERTIFICATE-{5}/gi, severity: 'LOW' },
 
     // Cloud Providers
     { name: 'Heroku API Key', pattern: /[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}/g, context: /heroku/i, severity: 'HIGH' },
@@ -609,303 +1667,3526 @@ const GENERIC_PATTERNS = [
     { name: 'PyPI Token', pattern: /pypi-[0-9a-zA-Z_-]{40,}/g, severity: 'HIGH' },
     { name: 'Docker Registry Token', pattern: /[a-zA-Z0-9]{12}:[a-zA-Z0-9]{8}-[a-zA-Z0-9]{4}-[a-zA-Z0-9]{4}-[a-zA-Z0-9]{4}-[a-zA-Z0-9]{12}/g, context: /docker/i, severity: 'HIGH' },
 
-    // Generic Patterns (with context validation)
-    { name: 'Generic API Key', pattern: /(?:api[_\s-]?key|apikey)[_\s-]?['\"]?\s*[:=]\s*['\"]([a-zA-Z0-9_-]{32,})['\"]?/gi, severity: 'MEDIUM' },
-    { name: 'Generic Secret', pattern: /(?:secret|client[_\s-]?secret)[_\s-]?['\"]?\s*[:=]\s*['\"]([a-zA-Z0-9_-]{32,})['\"]?/gi, severity: 'HIGH' },
-    { name: 'Generic Token', pattern: /(?:auth[_\s-]?)?token[_\s-]?['\"]?\s*[:=]\s*['\"]([a-zA-Z0-9_-]{32,})['\"]?/gi, severity: 'MEDIUM' },
-    { name: 'Generic Password', pattern: /(?:password|passwd|pwd)[_\s-]?['\"]?\s*[:=]\s*['\"]([^'\"]{8,})['\"]?/gi, severity: 'HIGH' },
-    { name: 'Bearer Authorization', pattern: /(?:Authorization|authorization)[_\s-]?['\"]?\s*[:=]\s*['\"]?Bearer\s+[a-zA-Z0-9_-]{20,}/gi, severity: 'HIGH' },
+    // Generic assignments (keyword-anchored): `keywords` are matched against the name a value is assigned to, and
+    // `pattern` must match the whole value. Checked in this order, so the first matching keyword decides the type.
+    { name: 'Generic API Key', keywords: ['apikey'], pattern: /^[a-zA-Z0-9_\-+/=.]{20,}$/g, minEntropy: 3, severity: 'MEDIUM' },
+    { name: 'Generic Secret', keywords: ['clientsecret', 'secret'], pattern: /^[a-zA-Z0-9_\-+/=.]{16,}$/g, minEntropy: 3, severity: 'HIGH' },
+    { name: 'Generic Token', keywords: ['token'], pattern: /^[a-zA-Z0-9_\-+/=.]{20,}$/g, minEntropy: 3, severity: 'MEDIUM' },
+    { name: 'Generic Password', keywords: ['password', 'passwd', 'pwd'], pattern: /^[^'"]{8,}$/g, minEntropy: 2, severity: 'HIGH' },
+    { name: 'Bearer Authorization', keywords: ['authorization'], pattern: /^Bearer\s+[a-zA-Z0-9_\-.=]{20,}$/g, minEntropy: 3, severity: 'HIGH' },
+];
+
+// `name = value` in most languages and formats: JSON and JS object keys, YAML, .env and shell (with export),
+// properties files, Python and JS assignments. Captures the quote around the name, the name, then the value
+// as double-quoted, single-quoted, backtick-quoted or bare.
+const ASSIGNMENT_PATTERN = /(?:^|[\s{,;(\[])(?:export\s+|const\s+|let\s+|var\s+)?(["'`]?)([A-Za-z_][\w.-]*)\1\s*(?::=|=>|[:=])\s*(?:"((?:[^"\\\n]|\\.)*)"|'((?:[^'\\\n]|\\.)*)'|`([^`\n]*)`|([^\s,;'"`#}\])]+))/g;
+
+// Files where a bare value is code (a variable, call or constant) rather than a literal
+const CODE_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.py', '.rb', '.php', '.java', '.kt', '.go', '.cs', '.swift', '.scala', '.rs', '.c', '.cc', '.cpp', '.h', '.tf', '.hcl'];
+
+// Name suffixes that describe a secret without holding one (password_hint, tokenUrl, secret_name...)
+const NON_SECRET_SUFFIXES = /^(?:s|name|names|id|ids|type|path|file|dir|url|uri|endpoint|ref|length|len|min|max|field|header|prefix|env|var|label|count|version|policy|hint|reset|expiry|expires|expiration|ttl|required|enabled|format|regex|pattern|mode|placeholder|description|message)$/;
+
+// Values that are references, templates or placeholders rather than secrets
+const NON_SECRET_VALUES = [
+    /^\$\{?[A-Za-z_][\w.]*\}?$/,                     // $VAR, ${VAR}, ${env.VAR}
+    /^\$\(/,                                         // $(command)
+    /^%[A-Za-z_]\w*%$/,                               // %VAR%
+    /\{\{.*\}\}|<%.*%>|\$\{[^}]*\}/,                      // {{ template }}, <%= erb %>, ${...} interpolation
+    /^<[^>]+>$/,                                      // <your-token>
+    /^\.{0,2}\/|^[\w.-]+\.(?:js|json|ya?ml|txt|sh|py|md|html)$/,    // ./paths and file names
+    /^(?:x+|\*+|\.+|-+|_+|0+)$/i,                     // xxxx, ****
+    /^(?:true|false|null|nil|none|undefined|changeme|change_me|password|secret|token|string|required|optional)$/i,
+    /(?:^|[_\-\s])(?:your|example|placeholder|changeme|dummy|sample|redacted|replace)(?:$|[_\-\s])/i
 ];
 
-// Entropy calculation for detecting high-entropy strings (potential secrets)
-function calculateEntropy(str) {
-    const frequencies = {};
-    for (const char of str) {
-        frequencies[char] = (frequencies[char] || 0) + 1;
+// Score how strongly an assigned name points at a detector's keywords: 1 when it ends with a keyword
+// (db_password), 0.8 when it contains one (passwordValue), 0.5 when the keyword only appears earlier on the line
+// ({"name": "password", "value": "..."}), and 0 when the name describes the secret rather than holding it.
+function keywordProximity(detector, name, linePrefix) {
+    const normalized = name.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+    for (const keyword of detector.keywords) {
+        const index = normalized.lastIndexOf(keyword);
+        if (index === -1) continue;
+
+        const suffix = normalized.substring(index + keyword.length);
+        if (!suffix) return 1;
+        return NON_SECRET_SUFFIXES.test(suffix) ? 0 : 0.8;
+    }
+
+    const context = linePrefix.slice(-60).toLowerCase().replace(/[^a-z0-9]/g, '');
+    return detector.keywords.some(keyword => context.includes(keyword)) ? 0.5 : 0;
+}
+
+// Check whether an assigned value is a variable reference, template or placeholder
+function isNonSecretValue(value, name) {
+    if (new Set(value).size < 4) return true;
+    if (value.toLowerCase() === name.toLowerCase()) return true;
+    return NON_SECRET_VALUES.some(pattern => pattern.test(value));
+}
+
+// Find the keyword-based generic detector that reports `value` assigned to `name`: the value must pass the
+// detector's pattern and context check (against `context`, the text around the value) and score at least 0.7 on
+// keyword proximity and entropy. Returns the detector and the score, or null.
+function matchGenericDetector(name, value, linePrefix, context) {
+    for (const detector of GENERIC_PATTERNS.filter(d => d.keywords)) {
+        const proximity = keywordProximity(detector, name, linePrefix);
+        if (proximity === 0) continue;
+
+        detector.pattern.lastIndex = 0;
+        if (!detector.pattern.test(value)) continue;
+        if (detector.context && !detector.context.test(context)) continue;
+
+        const entropy = calculateEntropy(value);
+        const score = 0.6 * proximity + 0.4 * Math.min(1, entropy / 4.5);
+        if (entropy < (detector.minEntropy || 0) || score < 0.7) continue;
+
+        return { detector, confidence: Math.round(score * 100) / 100 };
+    }
+    return null;
+}
+
+// Keyword-anchored generic detection: find assignments whose name matches a generic detector's keywords, and report
+// values that pass the detector's pattern and context check and score high enough on keyword proximity and
+// entropy. `claimed` holds [start, end] offsets already reported by specific detectors, which are not reported again;
+// the values reported here are added to it.
+function detectGenericAssignments(content, filePath = '', claimed = []) {
+    const findings = [];
+    const bareValuesAreCode = CODE_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+    let offset = 0;
+
+    content.split('\n').forEach((line, index) => {
+        const lineOffset = offset;
+        offset += line.length + 1;
+        if (line.length > 1000) return;  // Minified code
+
+        for (const match of line.matchAll(ASSIGNMENT_PATTERN)) {
+            const name = match[2];
+            const quoted = match[3] !== undefined ? match[3] : match[4] !== undefined ? match[4] : match[5];
+            const value = (quoted !== undefined ? quoted : match[6]).trim();
+            if (!value || (quoted === undefined && bareValuesAreCode)) continue;
+
+            const column = match.index + match[0].lastIndexOf(value) + 1;
+            const start = lineOffset + column - 1;
+            if (claimed.some(([from, to]) => start < to && start + value.length > from)) continue;
+            if (isNonSecretValue(value, name)) continue;
+
+            const context = content.substring(Math.max(0, start - 50), Math.min(content.length, start + value.length + 50));
+            const generic = matchGenericDetector(name, value, line.substring(0, match.index), context);
+            if (!generic) continue;
+
+            claimed.push([start, start + value.length]);
+            findings.push({
+                type: generic.detector.name,
+                line: index + 1,
+                column,
+                match: value.substring(0, 50) + (value.length > 50 ? '...' : ''),
+                secretHash: hashSecret(value),
+                severity: generic.detector.severity,
+                confidence: generic.confidence
+            });
+        }
+    });
+
+    return findings;
+}
+
+// Files larger than this are only scanned as text
+const MAX_STRUCTURED_SIZE = 5 * 1024 * 1024;
+
+// Keys whose list entries are KEY=value strings (docker-compose `environment:` and build `args:`)
+const ENV_LIST_KEYS = ['environment', 'args'];
+
+// Structured format of a file, from its name: env, properties, json, yaml, hcl or template (null for everything else)
+function structuredFormat(filePath) {
+    const basename = path.basename(filePath).toLowerCase();
+    const ext = path.extname(basename);
+
+    if (basename === '.env' || basename.startsWith('.env.') || ext === '.env') return 'env';
+    if (ext === '.properties') return 'properties';
+    if (ext === '.json' || isTerraformState(filePath)) return 'json';
+    if (ext === '.yml' || ext === '.yaml') return 'yaml';
+    if (ext === '.tf' || ext === '.tfvars' || ext === '.hcl') return 'hcl';
+    if (ext === '.template') return 'template';  // CloudFormation, JSON or YAML
+    return null;
+}
+
+// Format key path segments the way they would be written in JavaScript: spec.containers[0].env[3].value.
+// The first key is written as-is, so flat keys read naturally (db.password in a properties file).
+function formatKeyPath(segments) {
+    return segments.map((segment, index) => {
+        if (typeof segment === 'number') return `[${segment}]`;
+        if (index === 0) return segment;
+        if (/^[A-Za-z_$][\w$-]*$/.test(segment)) return `.${segment}`;
+        return `[${JSON.stringify(segment)}]`;
+    }).join('');
+}
+
+// Build the entries for the string members of one object or list. The member named `value` is named after a
+// sibling `name` ({name: DB_PASSWORD, value: ...} in Kubernetes env lists), and KEY=value list items under
+// `environment` are split.
+function collectEntries(entries, segments, members, parentKey, document) {
+    const nameMember = members.find(([key, item]) => key === 'name' && item);
+    for (const [key, item] of members) {
+        if (!item) continue;
+
+        const entry = { segments: [...segments, key], name: typeof key === 'number' ? parentKey : key, ...item, document };
+        if (key === 'value' && nameMember) entry.name = nameMember[1].value;
+
+        const assignment = typeof key === 'number' && ENV_LIST_KEYS.includes(parentKey) && item.value.match(/^([A-Za-z_][\w.-]*)=(.*)$/s);
+        if (assignment) {
+            entry.name = assignment[1];
+            entry.value = assignment[2];
+            entry.start += assignment[1].length + 1;
+        }
+        entries.push(entry);
+    }
+}
+
+// Parse .env and .properties files into KEY=value entries
+function parseKeyValueEntries(content, format) {
+    const entries = [];
+    const linePattern = format === 'env'
+        ? /^(\s*(?:export\s+)?([A-Za-z_][\w.-]*)\s*=\s*)(.*?)\s*$/
+        : /^(\s*([^\s#!=:][^=:\s]*)\s*[=:\s]\s*)(.*?)\s*$/;
+    let offset = 0;
+
+    for (const line of content.split('\n')) {
+        const lineOffset = offset;
+        offset += line.length + 1;
+
+        const match = line.match(linePattern);
+        if (!match) continue;
+
+        let value = match[3];
+        let start = lineOffset + match[1].length;
+        const quoted = value.match(/^(["'])(.*)\1$/);
+        if (quoted) {
+            value = quoted[2];
+            start++;
+        } else if (format === 'env') {
+            value = value.replace(/\s+#.*$/, '');
+        }
+        entries.push({ segments: [match[2]], name: match[2], value, start, end: start + value.length, document: 0 });
+    }
+
+    return entries;
+}
+
+// Parse JSON (with comments and trailing commas, as in tsconfig.json) into entries for its string values, keeping
+// their offsets. Throws a SyntaxError for anything that is not JSON.
+function parseJsonEntries(content) {
+    const entries = [];
+    let index = 0;
+
+    const fail = () => {
+        throw new SyntaxError(`Unexpected character at offset ${index}`);
+    };
+    const skip = () => {
+        for (;;) {
+            while (/\s/.test(content[index] || '')) index++;
+            if (content.startsWith('//', index)) {
+                const end = content.indexOf('\n', index);
+                index = end === -1 ? content.length : end;
+            } else if (content.startsWith('/*', index)) {
+                const end = content.indexOf('*/', index);
+                if (end === -1) fail();
+                index = end + 2;
+            } else {
+                return;
+            }
+        }
+    };
+    const parseString = () => {
+        const start = index++;
+        while (content[index] !== '"') {
+            if (index >= content.length) fail();
+            index += content[index] === '\\' ? 2 : 1;
+        }
+        index++;
+        return { value: JSON.parse(content.substring(start, index)), start: start + 1, end: index - 1 };
+    };
+    const parseValue = (segments, parentKey) => {
+        skip();
+        const char = content[index];
+        if (char === '"') return parseString();
+        if (char !== '{' && char !== '[') {
+            const literal = content.substring(index).match(/^(?:true|false|null|-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)/);
+            if (!literal) fail();
+            index += literal[0].length;
+            return null;
+        }
+
+        const isObject = char === '{';
+        const members = [];
+        index++;
+        for (;;) {
+            skip();
+            if (content[index] === (isObject ? '}' : ']')) break;
+
+            let key = members.length;
+            if (isObject) {
+                if (content[index] !== '"') fail();
+                key = parseString().value;
+                skip();
+                if (content[index++] !== ':') fail();
+            }
+            members.push([key, parseValue([...segments, key], isObject ? key : parentKey)]);
+
+            skip();
+            if (content[index] === ',') index++;
+            else if (content[index] !== (isObject ? '}' : ']')) fail();
+        }
+        index++;
+        collectEntries(entries, segments, members, parentKey, 0);
+        return null;
+    };
+
+    const root = parseValue([], null);
+    skip();
+    if (index < content.length) fail();
+    if (root) entries.push({ segments: [], name: '', ...root, document: 0 });
+    return entries;
+}
+
+// Parse every document of a YAML file into entries for its string values, keeping their offsets. Documents that
+// do not parse are skipped.
+function parseYamlEntries(content) {
+    const entries = [];
+
+    const walk = (node, segments, parentKey, document) => {
+        if (!YAML.isMap(node) && !YAML.isSeq(node)) return;
+
+        const members = [];
+        node.items.forEach((item, position) => {
+            const key = YAML.isMap(node) ? (YAML.isScalar(item.key) ? String(item.key.value) : null) : position;
+            const value = YAML.isMap(node) ? item.value : item;
+            if (key === null) return;
+
+            if (YAML.isScalar(value) && value.tag && value.tag.startsWith('!') && !value.tag.startsWith('!!')) {
+                members.push([key, null]);  // CloudFormation !Ref, !Sub... are references, not literals
+            } else if (YAML.isScalar(value) && typeof value.value === 'string' && value.range) {
+                const quoted = value.type === 'QUOTE_DOUBLE' || value.type === 'QUOTE_SINGLE';
+                members.push([key, { value: value.value, start: value.range[0] + (quoted ? 1 : 0), end: value.range[1] - (quoted ? 1 : 0) }]);
+            } else {
+                members.push([key, null]);
+                walk(value, [...segments, key], typeof key === 'number' ? parentKey : key, document);
+            }
+        });
+        collectEntries(entries, segments, members, parentKey, document);
+    };
+
+    YAML.parseAllDocuments(content).forEach((doc, document) => {
+        if (doc.errors && doc.errors.length === 0) walk(doc.contents, [], null, document);
+    });
+    return entries;
+}
+
+// Parse Terraform and HCL files (.tf, .tfvars) into entries for their quoted string values. Blocks and maps nest
+// the key path (resource.aws_db_instance.main.password), and a variable's `default` is named after the variable.
+// Lists, one-line maps and heredocs are left to the text detectors.
+function parseHclEntries(content) {
+    const entries = [];
+    const blocks = [];  // Open blocks: { segments, variable }
+    let offset = 0;
+    let heredoc = null;
+
+    for (const line of content.split('\n')) {
+        const lineOffset = offset;
+        offset += line.length + 1;
+
+        const trimmed = line.trim();
+        if (heredoc) {
+            if (trimmed === heredoc) heredoc = null;
+            continue;
+        }
+        if (!trimmed || /^(?:#|\/\/)/.test(trimmed)) continue;
+
+        const parent = blocks[blocks.length - 1];
+        const segments = parent ? parent.segments : [];
+        const block = trimmed.match(/^([\w-]+)((?:\s+"[^"]*")*)\s*(?:=\s*)?\{$/);
+        if (block) {
+            const labels = [...block[2].matchAll(/"([^"]*)"/g)].map(label => label[1]);
+            blocks.push({ segments: [...segments, block[1], ...labels], variable: !parent && block[1] === 'variable' ? labels[0] : null });
+            continue;
+        }
+        if (/^\}/.test(trimmed)) {
+            blocks.pop();
+            continue;
+        }
+
+        const heredocStart = trimmed.match(/^[\w-]+\s*=\s*<<-?(\w+)$/);
+        if (heredocStart) {
+            heredoc = heredocStart[1];
+            continue;
+        }
+
+        const attribute = line.match(/^(\s*"?([\w.-]+)"?\s*=\s*")((?:[^"\\]|\\.)*)"\s*,?\s*(?:(?:#|\/\/).*)?$/);
+        if (!attribute) continue;
+
+        const key = attribute[2];
+        const start = lineOffset + attribute[1].length;
+        entries.push({
+            segments: [...segments, key],
+            name: key === 'default' && parent && parent.variable ? parent.variable : key,
+            value: attribute[3],
+            start,
+            end: start + attribute[3].length,
+            document: 0
+        });
+    }
+
+    return entries;
+}
+
+// Parse a structured file into entries for its string values: { segments, name, value, start, end, document }.
+// `name` is the key the value is assigned to. Returns an empty list for other files and files that do not parse.
+function parseStructuredEntries(content, filePath) {
+    const format = structuredFormat(filePath);
+    if (!format || content.length > MAX_STRUCTURED_SIZE) return [];
+
+    try {
+        if (format === 'json' || (format === 'template' && content.trimStart().startsWith('{'))) {
+            const entries = parseJsonEntries(content);
+            if (isTerraformState(filePath)) addResourceAddresses(entries, JSON.parse(content));
+            return entries;
+        }
+        if (format === 'yaml' || format === 'template') return YAML ? parseYamlEntries(content) : [];
+        if (format === 'hcl') return parseHclEntries(content);
+        return parseKeyValueEntries(content, format);
+    } catch (error) {
+        return [];  // Not valid JSON: the text detectors still run
+    }
+}
+
+// Structure-aware detection over parsed entries: literal values assigned to sensitive keys (scored like generic
+// assignments), and the data of Kubernetes Secret manifests, whose `data` values are base64-decoded. Every finding
+// carries its key path. Spans in `claimed` are skipped, and the spans reported here are added to it.
+function detectStructuredSecrets(content, entries, claimed = []) {
+    const findings = [];
+    const secretDocuments = new Set(entries
+        .filter(entry => entry.segments.length === 1 && entry.segments[0] === 'kind' && entry.value === 'Secret')
+        .map(entry => entry.document));
+
+    for (const entry of entries) {
+        const { name, value, start } = entry;
+        const end = Math.max(entry.end, start + 1);
+        if (!value || claimed.some(([from, to]) => start < to && end > from)) continue;
+
+        const report = (type, severity, extra = {}) => {
+            const lines = content.substring(0, start).split('\n');
+            claimed.push([start, end]);
+            findings.push({
+                type,
+                line: lines.length,
+                column: lines[lines.length - 1].length + 1,
+                match: value.substring(0, 50) + (value.length > 50 ? '...' : ''),
+                secretHash: hashSecret(value),
+                severity,
+                keyPath: formatKeyPath(entry.segments),
+                ...extra
+            });
+        };
+
+        const section = entry.segments.length === 2 && secretDocuments.has(entry.document) ? entry.segments[0] : null;
+        if (section === 'data' || section === 'stringData') {
+            // Every value of a Secret manifest is a secret; a specific detector names it when one matches
+            const decoded = section === 'data' ? Buffer.from(value, 'base64').toString('utf8') : value;
+            if (!decoded || isNonSecretValue(decoded, name)) continue;
+
+            const hits = detectInDecodedLayer(decoded);
+            const generic = hits.length === 0 && matchGenericDetector(String(name), decoded, '', decoded);
+            if (generic) hits.push({ name: generic.detector.name, severity: generic.detector.severity });
+            const extra = section === 'data' ? { decoding: ['base64'] } : {};
+            if (hits.length === 0) report('Kubernetes Secret', 'HIGH', extra);
+            for (const hit of hits) report(section === 'data' ? `Base64 Encoded ${hit.name}` : hit.name, hit.severity, extra);
+            continue;
+        }
+
+        if (isNonSecretValue(value, name)) continue;
+        const context = content.substring(Math.max(0, start - 50), Math.min(content.length, end + 50));
+        const generic = matchGenericDetector(String(name), value, '', context);
+        if (generic) report(generic.detector.name, generic.detector.severity, { confidence: generic.confidence });
+    }
+
+    return findings;
+}
+
+// Add the key path of the structured value each finding points into (AWS keys in a YAML file, keys in JSON...),
+// and the Terraform resource address in state files
+function annotateKeyPaths(content, findings, entries) {
+    if (entries.length === 0) return;
+
+    const lineStarts = [0];
+    for (let index = content.indexOf('\n'); index !== -1; index = content.indexOf('\n', index + 1)) lineStarts.push(index + 1);
+
+    for (const finding of findings) {
+        if (finding.keyPath || !finding.line || !finding.column) continue;
+
+        const offset = lineStarts[finding.line - 1] + finding.column - 1;
+        const entry = entries.find(e => offset >= e.start && offset < Math.max(e.end, e.start + 1));
+        if (!entry) continue;
+        finding.keyPath = formatKeyPath(entry.segments);
+        if (entry.resource && !finding.resource) finding.resource = entry.resource;
+    }
+}
+
+// Terraform state files, including the backup Terraform keeps of the previous state
+function isTerraformState(filePath) {
+    return /\.tfstate(?:\.backup)?$/i.test(filePath);
+}
+
+// Attribute names that hold credentials in Terraform state, for providers that don't mark them sensitive
+const TERRAFORM_SECRET_ATTRIBUTES = /(?:^|_)(?:password|passwd|secret|secret_string|token|private_key|private_key_pem|private_key_openssh|api_key|access_key|secret_key|connection_string|kube_config_raw|key_material)$/;
+
+// Address of a resource instance in Terraform state: module.db.aws_db_instance.main[0]
+function terraformAddress(resource, instance) {
+    const indexKey = instance.index_key === undefined ? '' : `[${JSON.stringify(instance.index_key)}]`;
+    return `${resource.module ? `${resource.module}.` : ''}${resource.mode === 'data' ? 'data.' : ''}${resource.type}.${resource.name}${indexKey}`;
+}
+
+// Mark the entries of a Terraform state file with the address of the resource instance or output they belong to,
+// and whether Terraform treats them as sensitive: listed in the instance's `sensitive_attributes`, or in an output
+// declared with `sensitive = true`
+function addResourceAddresses(entries, state) {
+    for (const entry of entries) {
+        const [section, index, instances, instanceIndex, attributes, ...attributePath] = entry.segments;
+
+        if (section === 'outputs' && state.outputs && state.outputs[index]) {
+            entry.resource = `output.${index}`;
+            entry.sensitive = state.outputs[index].sensitive === true;
+        } else if (section === 'resources' && instances === 'instances' && attributes === 'attributes') {
+            const resource = state.resources[index];
+            const instance = resource.instances[instanceIndex];
+            entry.resource = terraformAddress(resource, instance);
+            entry.sensitive = (instance.sensitive_attributes || []).some(sensitivePath => [].concat(sensitivePath)
+                .map(step => (step.type === 'index' && step.value ? step.value.value : step.value))
+                .every((step, position) => String(attributePath[position]) === String(step)));
+        }
+    }
+}
+
+// Infrastructure-as-code detection. In Terraform state, sensitive attributes and outputs and credential attributes
+// of resources are reported with their resource address. In CloudFormation templates, NoEcho parameters (which the
+// console masks because they are secrets) with a literal Default are reported. Spans in `claimed` are skipped, and
+// the spans reported here are added to it.
+function detectIacSecrets(content, filePath, entries, claimed = []) {
+    const findings = [];
+    const report = (entry, type, severity) => {
+        const end = Math.max(entry.end, entry.start + 1);
+        if (claimed.some(([from, to]) => entry.start < to && end > from)) return;
+
+        const lines = content.substring(0, entry.start).split('\n');
+        claimed.push([entry.start, end]);
+        findings.push({
+            type,
+            line: lines.length,
+            column: lines[lines.length - 1].length + 1,
+            match: entry.value.substring(0, 50) + (entry.value.length > 50 ? '...' : ''),
+            secretHash: hashSecret(entry.value),
+            severity,
+            keyPath: formatKeyPath(entry.segments),
+            ...(entry.resource ? { resource: entry.resource } : {})
+        });
+    };
+
+    if (isTerraformState(filePath)) {
+        for (const entry of entries) {
+            if (!entry.resource || !entry.value || isNonSecretValue(entry.value, String(entry.name))) continue;
+            if (entry.sensitive || TERRAFORM_SECRET_ATTRIBUTES.test(String(entry.name))) {
+                report(entry, 'Terraform State Secret', 'CRITICAL');
+            }
+        }
+        return findings;
+    }
+
+    const format = structuredFormat(filePath);
+    if (!['json', 'yaml', 'template'].includes(format) || !content.includes('NoEcho')) return findings;
+
+    let template;
+    try {
+        template = content.trimStart().startsWith('{') ? JSON.parse(content) : YAML && YAML.parseAllDocuments(content)[0].toJS();
+    } catch (error) {
+        return findings;
+    }
+    if (!template || typeof template.Parameters !== 'object' || template.Parameters === null) return findings;
+
+    for (const [name, parameter] of Object.entries(template.Parameters)) {
+        if (!parameter || String(parameter.NoEcho).toLowerCase() !== 'true') continue;
+
+        const entry = entries.find(e => e.segments.length === 3 && e.segments[0] === 'Parameters' && e.segments[1] === name && e.segments[2] === 'Default');
+        if (entry && entry.value && !isNonSecretValue(entry.value, name)) {
+            report(entry, 'CloudFormation NoEcho Default', 'HIGH');
+        }
+    }
+
+    return findings;
+}
+
+// Entropy calculation for detecting high-entropy strings (potential secrets)
+function calculateEntropy(str) {
+    const frequencies = {};
+    for (const char of str) {
+        frequencies[char] = (frequencies[char] || 0) + 1;
+    }
+
+    let entropy = 0;
+    const len = str.length;
+    for (const freq of Object.values(frequencies)) {
+        const p = freq / len;
+        entropy -= p * Math.log2(p);
+    }
+
+    return entropy;
+}
+
+// Lockfiles are full of integrity hashes and checksums, and never hold secrets worth an entropy finding
+const LOCKFILE_NAMES = ['package-lock.json', 'npm-shrinkwrap.json', 'yarn.lock', 'pnpm-lock.yaml', 'bun.lock', 'Cargo.lock',
+    'go.sum', 'composer.lock', 'Gemfile.lock', 'poetry.lock', 'Pipfile.lock', 'packages.lock.json'];
+
+// Words on a line that mark hex values as hashes (git SHAs, checksums, digests) rather than secrets
+const HASH_CONTEXT = /(?<![a-z])(?:commit|sha\d*|md5|rev|revision|hash|checksum|digest|etag)(?![a-z])|\/commits?\//i;
+
+// Subresource integrity values (package-lock.json, HTML) and other "<algorithm>-<base64>" hashes
+const INTEGRITY_CONTEXT = /(?<![a-z])integrity(?![a-z])|(?<![a-z])sha(?:1|256|384|512)-/i;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Classify a candidate string by the smallest charset that contains it
+function classifyCharset(str) {
+    if (/^[0-9a-f]+$/i.test(str)) return 'hex';
+    if (/^[A-Za-z0-9]+$/.test(str)) return 'alphanumeric';
+    return 'base64';
+}
+
+// Check whether a string reads as words, acronyms and numbers (an identifier like getUserAccountSettingsById or
+// HTTPServerConfig2): runs average at least three characters, and no lowercase letter stands alone after the first
+// run. Random strings switch case far more often, and fewer than 3% of random 24-character ones pass.
+function isWordLike(str) {
+    const runs = str.match(/[A-Z]+[a-z]*|[a-z]+|[0-9]+/g) || [];
+    if (runs.length * 3 > runs.join('').length) return false;
+    return runs.every((run, index) => !/^[A-Z]{2,}[a-z]$/.test(run) && !(index > 0 && /^[a-z]$/.test(run)));
+}
+
+// Check if a string is likely a secret based on the entropy thresholds of its charset
+function isHighEntropyString(str, charset = classifyCharset(str)) {
+    const thresholds = ENTROPY_CONFIG[charset];
+    if (!thresholds || str.length < thresholds.minLength) return false;
+
+    // Skip common false positives
+    if (/^[0-9]+$/.test(str) || UUID_PATTERN.test(str)) return false;
+    if (charset !== 'hex' && isWordLike(str)) return false;
+
+    return calculateEntropy(str) >= thresholds.minEntropy;
+}
+
+// Report high-entropy strings with their line and column. Candidates are runs of up to 512 base64 characters (longer
+// runs are embedded data such as images). Known hash contexts (lockfiles, integrity values, git SHAs and checksums,
+// UUIDs) are skipped, and so are `claimed` ranges that other detectors already reported.
+function detectHighEntropyStrings(content, filePath = '', claimed = []) {
+    const findings = [];
+    if (!ENTROPY_CONFIG.enabled || LOCKFILE_NAMES.includes(path.basename(filePath))) return findings;
+
+    let offset = 0;
+    content.split('\n').forEach((line, index) => {
+        const lineOffset = offset;
+        offset += line.length + 1;
+        if (INTEGRITY_CONTEXT.test(line)) return;
+
+        for (const match of line.matchAll(/(?<![\w+/-])[\w+/-]{16,512}={0,2}(?![\w+/=-])/g)) {
+            // Surrounding slashes belong to paths and regular expressions, not to the value
+            const token = match[0].replace(/^\/+|\/+$/g, '');
+            const column = match.index + match[0].indexOf(token) + 1;
+            const start = lineOffset + column - 1;
+            if (claimed.some(([from, to]) => start < to && start + token.length > from)) continue;
+
+            const charset = classifyCharset(token);
+            if (charset === 'hex' && HASH_CONTEXT.test(line)) continue;
+            if (!isHighEntropyString(token, charset)) continue;
+
+            findings.push({
+                type: 'High Entropy String',
+                line: index + 1,
+                column,
+                match: token.substring(0, 50) + (token.length > 50 ? '...' : ''),
+                secretHash: hashSecret(token),
+                severity: 'LOW',
+                charset,
+                entropy: Math.round(calculateEntropy(token) * 100) / 100
+            });
+        }
+    });
+
+    return findings;
+}
+
+// Decoders tried on every encoded-looking span, in order. `pattern` finds candidates and `decode` returns a Buffer,
+// or null when the candidate does not decode. The label names a finding by its outermost encoding.
+const DECODERS = [
+    {
+        name: 'base64',
+        label: 'Base64 Encoded',
+        pattern: /(?<![\w+/-])[A-Za-z0-9+/]{24,}={0,2}(?![\w+/=-])/g,
+        decode: text => Buffer.from(text, 'base64')
+    },
+    {
+        name: 'base64url',
+        label: 'Base64url Encoded',
+        pattern: /(?<![\w+/-])(?=[A-Za-z0-9]*[_-])[\w-]{24,}(?![\w+/=-])/g,
+        decode: text => Buffer.from(text, 'base64url')
+    },
+    {
+        name: 'hex',
+        label: 'Hex Encoded',
+        pattern: /(?<![0-9a-fA-F])(?:[0-9a-fA-F]{2}){12,}(?![0-9a-fA-F])/g,
+        decode: text => Buffer.from(text, 'hex')
+    },
+    {
+        name: 'url',
+        label: 'URL Encoded',
+        pattern: /(?<![^\s'"`<>])[^\s'"`<>%]*(?:%[0-9A-Fa-f]{2}[^\s'"`<>%]*)+/g,
+        decode: text => Buffer.from(decodeURIComponent(text), 'utf8')
+    },
+    {
+        name: 'json',
+        label: 'JSON Escaped',
+        pattern: /(?:\\u[0-9a-fA-F]{4}|\\x[0-9a-fA-F]{2})(?:[^\s'"`\\]|\\u[0-9a-fA-F]{4}|\\x[0-9a-fA-F]{2})*/g,
+        decode: text => Buffer.from(text.replace(/\\u([0-9a-fA-F]{4})|\\x([0-9a-fA-F]{2})/g, (_, u, x) => String.fromCharCode(parseInt(u || x, 16))), 'utf8')
+    }
+];
+
+// Decompressed size limit, so a small compressed span cannot expand into gigabytes
+const MAX_DECODED_SIZE = 1024 * 1024;
+
+// Check that decoded bytes are text: at least 8 characters, almost all printable
+function decodedText(buffer) {
+    if (buffer.length < 8) return null;
+
+    const text = buffer.toString('utf8');
+    const printable = text.match(/[\t\n\r\x20-\x7e\u00a0-\ufffc]/g) || [];
+    return printable.length >= text.length * 0.95 ? text : null;
+}
+
+// Decode one candidate into text, inflating gzip and zlib streams found inside binary decodings.
+// Returns [text, chain] pairs; the chain names each decoding step.
+function decodeCandidate(decoder, candidate) {
+    let buffer;
+    try {
+        buffer = decoder.decode(candidate);
+    } catch (error) {
+        return null;  // Malformed escape sequences
+    }
+    if (!buffer || buffer.length === 0) return null;
+
+    let chain = [decoder.name];
+    const isGzip = buffer[0] === 0x1f && buffer[1] === 0x8b;
+    const isZlib = buffer[0] === 0x78 && (buffer[0] * 256 + buffer[1]) % 31 === 0;
+    if (isGzip || isZlib) {
+        try {
+            buffer = isGzip
+                ? zlib.gunzipSync(buffer, { maxOutputLength: MAX_DECODED_SIZE })
+                : zlib.inflateSync(buffer, { maxOutputLength: MAX_DECODED_SIZE });
+            chain = [decoder.name, isGzip ? 'gzip' : 'deflate'];
+        } catch (error) {
+            return null;
+        }
+    }
+
+    const text = decodedText(buffer);
+    return text === null || text === candidate ? null : [text, chain];
+}
+
+// Run the detector set on one decoded layer: API keys, token-shaped and keyword-based generic detectors, and
+// multi-line blocks. Each detector's regex is cloned, so no `lastIndex` is carried over between layers.
+function detectInDecodedLayer(text) {
+    const hits = [];
+    const claimed = [];
+
+    for (const detector of [...API_KEY_PATTERNS, ...GENERIC_PATTERNS.filter(d => !d.keywords)]) {
+        for (const match of text.matchAll(new RegExp(detector.pattern))) {
+            if (detector.context) {
+                const context = text.substring(Math.max(0, match.index - 50), match.index + match[0].length + 50);
+                if (!detector.context.test(context)) continue;
+            }
+            claimed.push([match.index, match.index + match[0].length]);
+            hits.push({ name: detector.name, severity: detector.severity, value: match[0] });
+        }
+    }
+
+    for (const generic of detectGenericAssignments(text, '', claimed)) {
+        hits.push({ name: generic.type, severity: generic.severity, value: generic.match });
+    }
+
+    // Key and certificate blocks replace their headers
+    const blocks = detectMultiLineSecrets(text);
+    const types = new Set(blocks.map(block => block.type));
+    for (let index = hits.length - 1; index >= 0; index--) {
+        const name = hits[index].name;
+        if (types.has('Private Key Block') && (name === 'RSA Private Key' || name === 'SSH Private Key')) hits.splice(index, 1);
+        else if (types.has('Certificate Block') && name === 'PEM Certificate') hits.splice(index, 1);
+    }
+    for (const block of blocks) {
+        hits.push({ name: block.type, severity: block.severity, value: block.match });
+    }
+
+    return hits;
+}
+
+// Detect secrets hidden behind encodings. Every candidate span is decoded with each decoder (inflating compressed
+// data), the full detector set runs on the decoded text, and the decoded text is searched again for encoded spans
+// up to DECODE_CONFIG.maxDepth layers. Findings carry the location of the outermost span and the decoding chain.
+// Spans inside `claimed` are skipped, and the spans reported here are added to it.
+function detectEncodedSecrets(content, claimed = []) {
+    const findings = [];
+    if (!DECODE_CONFIG.enabled || DECODE_CONFIG.maxDepth < 1) return findings;
+
+    const seen = new Set();
+    const decodeLayer = (text, depth, visit) => {
+        for (const decoder of DECODERS) {
+            for (const match of text.matchAll(decoder.pattern)) {
+                const decoded = decodeCandidate(decoder, match[0]);
+                if (!decoded) continue;
+
+                visit(match, decoded);
+                if (depth < DECODE_CONFIG.maxDepth) {
+                    decodeLayer(decoded[0], depth + 1, (inner, [innerText, innerChain]) => visit(match, [innerText, [...decoded[1], ...innerChain]]));
+                }
+            }
+        }
+    };
+
+    decodeLayer(content, 1, (outer, [text, chain]) => {
+        const start = outer.index;
+        if (claimed.some(([from, to]) => start >= from && start + outer[0].length <= to)) return;  // Already reported
+        const hits = detectInDecodedLayer(text);
+        if (hits.length === 0) return;
+        claimed.push([start, start + outer[0].length]);
+
+        const lines = content.substring(0, start).split('\n');
+        for (const hit of hits) {
+            // The same secret can be reached through different chains (base64 inside a URL-encoded value is found
+            // both directly and through the URL decoding); only the first chain found is reported
+            const key = `${hit.name}\0${lines.length}\0${hit.value}`;
+            if (seen.has(key)) continue;
+            seen.add(key);
+
+            findings.push({
+                type: `${DECODERS.find(d => d.name === chain[0]).label} ${hit.name}`,
+                line: lines.length,
+                column: lines[lines.length - 1].length + 1,
+                match: outer[0].substring(0, 50) + (outer[0].length > 50 ? '...' : ''),
+                secretHash: hashSecret(outer[0]),
+                severity: hit.severity,
+                decoding: chain
+            });
+        }
+    });
+
+    return findings;
+}
+
+// Read a length-prefixed string from an OpenSSH key blob
+function readSshString(buffer, offset) {
+    const length = buffer.readUInt32BE(offset);
+    return [buffer.subarray(offset + 4, offset + 4 + length), offset + 4 + length];
+}
+
+// Size in bits of an unsigned big-endian integer
+function bitLength(bytes) {
+    let index = 0;
+    while (index < bytes.length && bytes[index] === 0) index++;
+    return index === bytes.length ? 0 : (bytes.length - index - 1) * 8 + (32 - Math.clz32(bytes[index]));
+}
+
+// Parse the unencrypted header of an OpenSSH private key (PROTOCOL.key): cipher name and public key.
+// Node's crypto cannot read this format.
+function parseOpenSshKey(body) {
+    const buffer = Buffer.from(body, 'base64');
+    const magic = Buffer.from('openssh-key-v1\0');
+    if (!buffer.subarray(0, magic.length).equals(magic)) return null;
+
+    let offset = magic.length;
+    let cipher, publicKey;
+    [cipher, offset] = readSshString(buffer, offset);
+    [, offset] = readSshString(buffer, offset);  // KDF name
+    [, offset] = readSshString(buffer, offset);  // KDF options
+    offset += 4;  // Number of keys
+    [publicKey] = readSshString(buffer, offset);
+
+    const [keyType, keyOffset] = readSshString(publicKey, 0);
+    const name = keyType.toString();
+    const key = { type: name, size: null, encrypted: cipher.toString() !== 'none' };
+    if (name === 'ssh-rsa' || name === 'ssh-dss') {
+        // RSA: e, then n. DSA: p first.
+        const [first, next] = readSshString(publicKey, keyOffset);
+        key.type = name === 'ssh-rsa' ? 'RSA' : 'DSA';
+        key.size = `${bitLength(name === 'ssh-rsa' ? readSshString(publicKey, next)[0] : first)}-bit`;
+    } else if (name === 'ssh-ed25519') {
+        key.type = 'Ed25519';
+    } else if (name.startsWith('ecdsa-sha2-')) {
+        key.type = 'EC';
+        key.size = name.substring('ecdsa-sha2-'.length);
+    }
+    return key;
+}
+
+// Identify a PEM private key: its algorithm, size and whether it is protected by a passphrase. `type` is null when
+// the key cannot be read (a placeholder, a truncated key or a format Node does not support).
+function describePrivateKey(pem, label) {
+    const labelType = (label.match(/^(RSA|DSA|EC|OPENSSH|PGP|SSH2 ENCRYPTED)\s/) || [])[1];
+    const key = {
+        type: { RSA: 'RSA', DSA: 'DSA', EC: 'EC' }[labelType] || null,
+        size: null,
+        encrypted: /ENCRYPTED/.test(label) || /^Proc-Type:\s*4,ENCRYPTED/m.test(pem)
+    };
+
+    if (labelType === 'OPENSSH') {
+        try {
+            return parseOpenSshKey(pem.replace(/^-----.*-----$/gm, '').replace(/\s+/g, '')) || key;
+        } catch (error) {
+            return key;  // Truncated key
+        }
+    }
+    if (labelType === 'PGP' || labelType === 'SSH2 ENCRYPTED' || key.encrypted) return key;
+
+    try {
+        const keyObject = crypto.createPrivateKey({ key: pem, format: 'pem' });
+        const details = keyObject.asymmetricKeyDetails || {};
+        key.type = { rsa: 'RSA', 'rsa-pss': 'RSA-PSS', dsa: 'DSA', ec: 'EC', ed25519: 'Ed25519', ed448: 'Ed448', x25519: 'X25519', x448: 'X448', dh: 'DH' }[keyObject.asymmetricKeyType] || keyObject.asymmetricKeyType;
+        key.size = details.modulusLength ? `${details.modulusLength}-bit` : details.namedCurve || null;
+    } catch (error) {
+        if (error.code === 'ERR_MISSING_PASSPHRASE') key.encrypted = true;
+    }
+    return key;
+}
+
+// Find PEM blocks: each BEGIN line paired with the next END line of the same label. Keys inside JSON strings, with
+// `\n` escapes (service account files, .env values), are found as well. Returns each block's label, PEM text (unescaped)
+// and offsets.
+function findPemBlocks(content) {
+    const blocks = [];
+
+    for (const begin of content.matchAll(/-----BEGIN ([A-Z0-9 ]+)-----/g)) {
+        const label = begin[1];
+        const endMarker = `-----END ${label}-----`;
+        const end = content.indexOf(endMarker, begin.index);
+        if (end === -1) continue;
+
+        const raw = content.substring(begin.index, end + endMarker.length);
+        const escaped = raw.includes('\\n');
+        let pem = raw;
+        if (escaped) {
+            try {
+                pem = JSON.parse(`"${raw}"`);
+            } catch (error) {
+                continue;  // The END belongs to another string
+            }
+        }
+
+        // Between the markers there may only be base64 and RFC 1421 headers (Proc-Type, DEK-Info, Comment...).
+        // Anything else means the END belongs to an unrelated block further down. Indentation (YAML) is removed.
+        const lines = pem.split('\n').map(line => line.trim());
+        if (!lines.slice(1, -1).every(line => /^(?:[A-Za-z0-9+/=]*|[\w-]+:.*)$/.test(line))) continue;
+        pem = lines.join('\n');
+
+        blocks.push({ label, pem, start: begin.index, end: end + endMarker.length });
+    }
+
+    return blocks;
+}
+
+// Detect multi-line secrets: private key and certificate blocks, reported with their start and end lines, and Google
+// service account files. Private keys are parsed to report their type and size; keys protected by a passphrase are
+// reported as MEDIUM. The key and certificate blocks reported here are added to `claimed`.
+function detectMultiLineSecrets(content, claimed = []) {
+    const findings = [];
+    const lineOf = offset => content.substring(0, offset).split('\n');
+
+    for (const block of findPemBlocks(content)) {
+        const isKey = /PRIVATE KEY/.test(block.label);
+        if (!isKey && block.label !== 'CERTIFICATE') continue;
+
+        const before = lineOf(block.start);
+        const finding = {
+            type: isKey ? 'Private Key Block' : 'Certificate Block',
+            line: before.length,
+            column: before[before.length - 1].length + 1,
+            endLine: lineOf(block.end).length,
+            match: `-----BEGIN ${block.label}-----...`,
+            secretHash: hashSecret(block.pem.replace(/\s+/g, '')),
+            severity: isKey ? 'CRITICAL' : 'LOW'
+        };
+        if (isKey) {
+            finding.key = describePrivateKey(block.pem, block.label);
+            if (finding.key.encrypted) finding.severity = 'MEDIUM';
+        }
+
+        claimed.push([block.start, block.end]);
+        findings.push(finding);
+    }
+
+    for (const match of content.matchAll(/\{\s*"type"\s*:\s*"service_account"[\s\S]*?"private_key"\s*:\s*"[^"]+"[^}]*\}/g)) {
+        const before = lineOf(match.index);
+        findings.push({
+            type: 'Google Service Account JSON',
+            line: before.length,
+            column: before[before.length - 1].length + 1,
+            endLine: lineOf(match.index + match[0].length).length,
+            match: match[0].substring(0, 50) + '...',
+            secretHash: hashSecret(match[0]),
+            severity: 'CRITICAL'
+        });
+    }
+
+    return findings;
+}
+
+// Describe a parsed private key for display, e.g. "RSA 2048-bit, passphrase-protected"
+function describeKey(key) {
+    const parts = [[key.type || 'Private key', key.size].filter(Boolean).join(' ')];
+    if (key.encrypted) parts.push('passphrase-protected');
+    return parts.join(', ');
+}
+
+// Decode a path from a diff header, which git quotes C-style when it contains special characters
+function unquoteGitPath(rawPath) {
+    if (!rawPath.startsWith('"')) return rawPath;
+
+    const bytes = [];
+    const body = rawPath.slice(1, -1);
+    for (let i = 0; i < body.length; i++) {
+        if (body[i] !== '\\') {
+            bytes.push(...Buffer.from(body[i]));
+        } else if (/[0-7]/.test(body[i + 1])) {
+            bytes.push(parseInt(body.substr(i + 1, 3), 8));
+            i += 3;
+        } else {
+            const escapes = { n: '\n', t: '\t', '"': '"', '\\': '\\' };
+            bytes.push(...Buffer.from(escapes[body[i + 1]] || body[i + 1]));
+            i += 1;
+        }
+    }
+    return Buffer.from(bytes).toString('utf8');
+}
+
+// Parse a unified or combined (merge) diff into the lines each file gained:
+// Map<path, { addedLines, blobId, parentBlobIds, binary }>. addedLines maps line numbers in the new version of the
+// file to their text; removed lines are ignored. In a combined diff only lines that are new relative to every parent
+// count as added. Binary files have no lines; they are listed with `binary` set.
+// blobId and parentBlobIds are the object ids of the new and previous versions when the diff was produced with
+// --full-index; parentBlobIds is empty for an added file.
+function parseAddedLines(diff) {
+    const files = new Map();
+    let current = null;
+    let inHeader = false;
+    let headerPath = null;
+    let blobId = null;
+    let parentBlobIds = [];
+    let parents = 1;
+    let newLine = 0;
+
+    for (const line of diff.split('\n')) {
+        if (line.startsWith('diff --git ') || line.startsWith('diff --cc ') || line.startsWith('diff --combined ')) {
+            current = null;
+            inHeader = true;
+            // Combined diffs of binary files name the file only here; `diff --git` headers can't be split unambiguously
+            headerPath = line.startsWith('diff --git ') ? null : unquoteGitPath(line.replace(/^diff --\w+ /, ''));
+            blobId = null;
+            parentBlobIds = [];
+        } else if (inHeader && line.startsWith('index ')) {
+            const ids = /^index ([0-9a-f,]+)\.\.([0-9a-f]+)/.exec(line);
+            blobId = ids ? ids[2] : null;
+            parentBlobIds = ids ? ids[1].split(',').filter(id => !/^0+$/.test(id)) : [];
+        } else if (inHeader && line.startsWith('Binary files ')) {
+            // "Binary files a/old and b/new differ", or "Binary files differ" in a combined diff
+            const target = / and (b\/.*|"b\/.*"|\/dev\/null) differ$/.exec(line);
+            const filePath = target ? (target[1] === '/dev/null' ? null : unquoteGitPath(target[1]).replace(/^b\//, '')) : headerPath;
+            if (filePath) files.set(filePath, { addedLines: new Map(), blobId, parentBlobIds, binary: true });
+            inHeader = false;
+        } else if (inHeader && line.startsWith('+++ ')) {
+            // Git ends the path with a tab when it contains spaces
+            const target = line.substring(4).replace(/\t$/, '');
+            if (target === '/dev/null') {
+                current = null;
+            } else {
+                const filePath = unquoteGitPath(target).replace(/^b\//, '');
+                current = { addedLines: new Map(), blobId, parentBlobIds, binary: false };
+                files.set(filePath, current);
+            }
+        } else if (line.startsWith('@@')) {
+            inHeader = false;
+            const hunk = /^(@@+) (?:-\d+(?:,\d+)? )+\+(\d+)(?:,\d+)? @@+/.exec(line);
+            parents = hunk ? hunk[1].length - 1 : 1;
+            newLine = hunk ? parseInt(hunk[2], 10) : 0;
+        } else if (current && !inHeader && line.length >= parents && !line.startsWith('\\')) {
+            const markers = line.substring(0, parents);
+            if (markers.includes('-')) continue;
+
+            if (/^\++$/.test(markers)) {
+                current.addedLines.set(newLine, line.substring(parents));
+            }
+            newLine++;
+        }
+    }
+
+    return files;
+}
+
+// Keep only findings on added lines. Findings without a line number are kept when their match appears in an added line.
+function filterToAddedLines(findings, addedLines) {
+    const addedText = [...addedLines.values()];
+
+    return findings.filter(finding => {
+        if (finding.line) return addedLines.has(finding.line);
+
+        const prefix = (finding.match || '').replace(/\.\.\.$/, '');
+        return prefix.length > 0 && addedText.some(text => text.includes(prefix));
+    });
+}
+
+// Apply the walker's ignore and extension rules to a repository-relative path; archives are selected by the ignore
+// rules only. Committed baselines are left out: their fingerprints and secret hashes look like secrets to the detectors.
+function isSelectedPath(relativePath) {
+    return !isIgnoredPath(relativePath) && (isArchive(relativePath) || shouldScanFile(relativePath)) && path.posix.basename(relativePath) !== BASELINE_FILE_NAME;
+}
+
+// Scan the staged (index) version of files, reporting only secrets on lines added by this commit
+async function scanStagedChanges(cwd, useAI = false) {
+    console.log('📝 Scanning staged changes...');
+
+    let diff;
+    try {
+        ({ stdout: diff } = await execFilePromise(
+            'git',
+            ['-c', 'core.quotePath=false', 'diff', '--cached', '--relative', '--no-color', '--no-ext-diff', '-U0', '--diff-filter=ACMR'],
+            { cwd, maxBuffer: 100 * 1024 * 1024 }
+        ));
+    } catch (error) {
+        throw new Error(`Unable to read staged changes (is ${path.resolve(cwd)} inside a git repository?): ${error.message}`);
+    }
+
+    const findings = [];
+
+    for (const [filePath, { addedLines }] of parseAddedLines(diff)) {
+        if (addedLines.size === 0 || !isSelectedPath(filePath)) {
+            SCAN_STATS.filesSkipped++;
+            continue;
+        }
+
+        try {
+            // Read the blob from the index, not the working copy, so unstaged edits can't hide or add findings
+            const { stdout: content } = await execFilePromise('git', ['show', `:./${filePath}`], { cwd, maxBuffer: 100 * 1024 * 1024 });
+            SCAN_STATS.filesScanned++;
+
+            const fileFindings = await scanContent(content, path.join(cwd, filePath), useAI);
+            findings.push(...filterToAddedLines(fileFindings, addedLines));
+        } catch (error) {
+            SCAN_STATS.errors.push({ file: filePath, message: error.message });
+        }
+    }
+
+    return findings;
+}
+
+// Read objects through one long-running `git cat-file --batch` process instead of spawning git per object
+function createBlobReader(cwd) {
+    const child = spawn('git', ['cat-file', '--batch'], { cwd, stdio: ['pipe', 'pipe', 'ignore'] });
+    const pending = [];
+    let chunks = [];
+    let buffered = 0;
+    let failure = null;
+
+    const drain = () => {
+        while (pending.length > 0 && buffered > 0) {
+            const buffer = chunks.length === 1 ? chunks[0] : Buffer.concat(chunks);
+            chunks = [buffer];
+
+            const newline = buffer.indexOf(10);
+            if (newline === -1) return;
+
+            // "<id> <type> <size>", or "<name> missing" / "<name> ambiguous" when the object can't be read. The name
+            // is echoed as given and may contain spaces, so anything but the exact object header means no object.
+            const header = /^([0-9a-f]+) (\w+) (\d+)$/.exec(buffer.toString('utf8', 0, newline));
+            let consumed = newline + 1;
+            let object = null;
+
+            if (header) {
+                const size = parseInt(header[3], 10);
+                if (buffer.length < newline + 1 + size + 1) return;
+                object = { id: header[1], type: header[2], content: buffer.subarray(newline + 1, newline + 1 + size) };
+                consumed = newline + 1 + size + 1;
+            }
+
+            chunks = [buffer.subarray(consumed)];
+            buffered = chunks[0].length;
+            pending.shift().resolve(object);
+        }
+    };
+
+    const fail = (error) => {
+        failure = error;
+        while (pending.length > 0) pending.shift().reject(error);
+    };
+
+    child.stdout.on('data', (chunk) => {
+        chunks.push(chunk);
+        buffered += chunk.length;
+        drain();
+    });
+    child.on('error', fail);
+    child.on('close', () => fail(new Error('git cat-file exited')));
+    child.stdin.on('error', fail);
+
+    return {
+        read(name) {
+            if (failure) return Promise.reject(failure);
+            // Names are sent one per line, so a path with a newline can't be looked up
+            if (name.includes('\n')) return Promise.resolve(null);
+            return new Promise((resolve, reject) => {
+                pending.push({ resolve, reject });
+                child.stdin.write(`${name}\n`);
+            });
+        },
+        close() {
+            child.removeAllListeners('close');
+            child.stdin.end();
+        }
+    };
+}
+
+// Stream `git log -p` for the given revisions and yield each commit with its diff
+async function* streamCommitDiffs(cwd, revisions, { since = null, depth = 0 } = {}) {
+    const marker = '\x01';
+    const args = [
+        '-c', 'core.quotePath=false', 'log', '-p', '--cc', '-U0', '--full-index', '--no-color', '--no-ext-diff', '-M',
+        '--diff-filter=ACMR', `--format=${marker}%H%x00%an <%ae>%x00%aI`
+    ];
+    if (since) args.push(`--since=${since}`);
+    if (depth > 0) args.push(`--max-count=${depth}`);
+    args.push(...revisions, '--');
+
+    const child = spawn('git', args, { cwd, stdio: ['ignore', 'pipe', 'pipe'] });
+    let stderr = '';
+    child.stderr.on('data', (chunk) => { stderr += chunk; });
+    const exited = new Promise((resolve) => {
+        child.on('close', resolve);
+        child.on('error', (error) => { stderr += error.message; resolve(-1); });
+    });
+
+    const lines = readline.createInterface({ input: child.stdout, crlfDelay: Infinity });
+    let commit = null;
+    let diffLines = [];
+
+    for await (const line of lines) {
+        if (line.startsWith(marker)) {
+            if (commit) yield { ...commit, diff: diffLines.join('\n') };
+            const [sha, author, date] = line.substring(1).split('\0');
+            commit = { sha, author, date };
+            diffLines = [];
+        } else {
+            diffLines.push(line);
+        }
+    }
+    if (commit) yield { ...commit, diff: diffLines.join('\n') };
+
+    const code = await exited;
+    if (code !== 0) {
+        throw new Error(stderr.trim() || `git log exited with code ${code}`);
+    }
+}
+
+// Bump when the layout of the history cache file changes
+const HISTORY_CACHE_VERSION = 3;
+
+// Fingerprint of everything that decides what a scan finds: the detectors, the file selection rules and the
+// scanner itself. Cached results recorded under a different fingerprint are discarded.
+function detectorSetVersion(useAI = false) {
+    const detectors = [...API_KEY_PATTERNS, ...GENERIC_PATTERNS].map(d => [d.name, String(d.pattern), d.severity, d.context ? String(d.context) : null]);
+
+    return crypto.createHash('sha256')
+        .update(fs.readFileSync(__filename))
+        .update(JSON.stringify({
+            detectors,
+            extensions: SCAN_EXTENSIONS,
+            ignore: IGNORE_GLOBS.map(glob => `${glob.regex}${glob.dirOnly ? ' (directories)' : ''}`),
+            archive: ARCHIVE_CONFIG,
+            decode: DECODE_CONFIG,
+            binary: BINARY_CONFIG,
+            entropy: ENTROPY_CONFIG,
+            ai: useAI && AI_CONFIG.contextLines
+        }))
+        .digest('hex');
+}
+
+// Directory for the repository's history cache, inside its git directory
+async function historyCacheDirectory(cwd) {
+    const { stdout } = await execFilePromise('git', ['rev-parse', '--git-common-dir'], { cwd });
+    return path.join(path.resolve(cwd, stdout.trim()), 'source-secure');
+}
+
+// Load the history cache stored in the repository's git directory. Returns an empty cache when there is none,
+// it can't be read, it was written for a different detector set, or caching is disabled (which also keeps it from
+// being saved).
+async function loadHistoryCache(repoRoot, useAI, enabled = true) {
+    const cache = {
+        path: enabled ? path.join(await historyCacheDirectory(repoRoot), 'history-cache.json') : null,
+        version: HISTORY_CACHE_VERSION,
+        detectorVersion: detectorSetVersion(useAI),
+        tips: [],      // Commits whose entire ancestry has been scanned
+        commits: {},   // Findings per scanned commit, for commits that had any
+        blobs: {}      // Findings per "<blob id>\0<path>", shared by every commit that adds lines to that file version
+    };
+
+    if (!enabled) return cache;
+
+    try {
+        const stored = JSON.parse(fs.readFileSync(cache.path, 'utf8'));
+        if (stored.version === cache.version && stored.detectorVersion === cache.detectorVersion) {
+            Object.assign(cache, { tips: stored.tips, commits: stored.commits, blobs: stored.blobs });
+        }
+    } catch (error) {
+        // No cache yet, or unreadable; start over
+    }
+
+    return cache;
+}
+
+// Write the history cache, replacing the previous file atomically. Findings are stored without their secrets
+// (see toCachedFinding).
+function saveHistoryCache(cache) {
+    const { path: cachePath, commits, blobs, ...stored } = cache;
+    if (!cachePath) return;
+
+    const withoutSecrets = entries => Object.fromEntries(Object.entries(entries).map(([key, findings]) => [key, findings.map(toCachedFinding)]));
+
+    try {
+        fs.mkdirSync(path.dirname(cachePath), { recursive: true, mode: 0o700 });
+        fs.writeFileSync(`${cachePath}.tmp`, JSON.stringify({ ...stored, commits: withoutSecrets(commits), blobs: withoutSecrets(blobs) }), { mode: 0o600 });
+        fs.chmodSync(`${cachePath}.tmp`, 0o600);
+        fs.renameSync(`${cachePath}.tmp`, cachePath);
+    } catch (error) {
+        console.log(`⚠️  Unable to write history cache ${cachePath}: ${error.message}`);
+    }
+}
+
+// List the commits selected by `git rev-list` arguments, newest first
+async function listCommits(cwd, args) {
+    const child = spawn('git', ['rev-list', ...args, '--'], { cwd, stdio: ['ignore', 'pipe', 'pipe'] });
+    let stderr = '';
+    child.stderr.on('data', (chunk) => { stderr += chunk; });
+    const exited = new Promise((resolve) => {
+        child.on('close', resolve);
+        child.on('error', (error) => { stderr += error.message; resolve(-1); });
+    });
+
+    const commits = [];
+    for await (const line of readline.createInterface({ input: child.stdout, crlfDelay: Infinity })) {
+        if (line) commits.push(line);
+    }
+
+    const code = await exited;
+    if (code !== 0) {
+        throw new Error(stderr.trim() || `git rev-list exited with code ${code}`);
+    }
+    return commits;
+}
+
+// Scan a version of a file read from git the way the working tree scan reads the file: archives entry by entry,
+// other files by type (documents, notebooks, binary files, text). Read errors are recorded under `label`.
+async function scanBlob(content, filePath, label, useAI = false) {
+    try {
+        if (isArchive(filePath)) return await scanArchive(filePath, useAI, { buffer: content });
+        return await scanBuffer(content, filePath, useAI);
+    } catch (error) {
+        SCAN_STATS.errors.push({ file: label, message: error.message });
+        return null;
+    }
+}
+
+// Whether a finding is located by a line of the file itself, rather than by a notebook cell, a document location,
+// a byte offset or an archive entry
+function isOnFileLine(finding) {
+    return Boolean(finding.line) && !finding.cell && !finding.inArchive;
+}
+
+// Git history engine: scan what every commit reachable from the given revisions added with the full detector
+// pipeline, attributing each finding to its commit, author, date, path and line in that commit's version of the
+// file, and checking whether the secret is still present in the same file at HEAD. Findings on a line of the file
+// are kept when the commit added that line; the others (binary files, documents, notebooks, archives) when no
+// parent version of the file has the secret.
+// Results are kept in a cache in the git directory, so later runs only scan commits and blobs they haven't seen.
+async function scanHistory({ cwd = '.', revisions = ['--all'], since = null, depth = 0, useAI = false, useCache = true }) {
+    let repoRoot;
+    try {
+        const { stdout } = await execFilePromise('git', ['rev-parse', '--show-toplevel'], { cwd });
+        repoRoot = stdout.trim();
+    } catch (error) {
+        throw new Error(`${path.resolve(cwd)} is not inside a git repository`);
+    }
+
+    const cache = await loadHistoryCache(repoRoot, useAI, useCache);
+    const relative = filePath => path.relative(repoRoot, filePath).split(path.sep).join('/');
+    const toRelative = finding => ({
+        ...finding,
+        file: relative(finding.file),
+        ...(finding.inArchive ? { inArchive: relative(finding.inArchive) } : {})
+    });
+    const fromRelative = ({ matchHash, matchLength, ...finding }) => ({
+        ...finding,
+        file: path.join(repoRoot, finding.file),
+        ...(finding.inArchive ? { inArchive: path.join(repoRoot, finding.inArchive) } : {})
+    });
+
+    const blobs = createBlobReader(repoRoot);
+
+    // Findings in one version of a file, with repository-relative paths; null when it can't be read
+    const scanVersion = async (blobId, filePath, label) => {
+        const blobKey = blobId && `${blobId}\0${filePath}`;
+        if (blobKey && cache.blobs[blobKey]) return cache.blobs[blobKey];
+
+        const object = await blobs.read(blobId || label);
+        if (!object || object.type !== 'blob') {
+            SCAN_STATS.errors.push({ file: label, message: 'object could not be read' });
+            return null;
+        }
+        const versionFindings = await scanBlob(object.content, path.join(repoRoot, filePath), label, useAI);
+        if (!versionFindings) return null;
+
+        const stored = versionFindings.map(toRelative);
+        if (blobKey) cache.blobs[blobKey] = stored;
+        return stored;
+    };
+
+    const findings = [];
+    const tips = [];
+    let commitCount = 0;
+
+    try {
+        // Ancestors of commits scanned by an earlier full run are skipped; tips that no longer exist are dropped
+        for (const tip of cache.tips) {
+            const object = await blobs.read(tip);
+            if (object && object.type === 'commit') tips.push(tip);
+        }
+
+        // With skipped commits, findings are replayed from the cache and ordered like an uncached run
+        let selected = null;
+        if (tips.length > 0) {
+            const limits = [since && `--since=${since}`, depth > 0 && `--max-count=${depth}`].filter(Boolean);
+            selected = new Map((await listCommits(repoRoot, [...limits, ...revisions])).map((sha, index) => [sha, index]));
+        }
+
+        const logRevisions = tips.length > 0 ? [...revisions, '--not', ...tips] : revisions;
+        const scanned = new Set();
+
+        for await (const commit of streamCommitDiffs(repoRoot, logRevisions, { since, depth: selected ? 0 : depth })) {
+            if (selected && !selected.has(commit.sha)) continue;
+            commitCount++;
+            scanned.add(commit.sha);
+
+            if (cache.commits[commit.sha]) {
+                findings.push(...cache.commits[commit.sha].map(fromRelative));
+                continue;
+            }
+
+            const commitFindings = [];
+            for (const [filePath, { addedLines, blobId, parentBlobIds, binary }] of parseAddedLines(commit.diff)) {
+                if ((addedLines.size === 0 && !binary) || !isSelectedPath(filePath)) {
+                    SCAN_STATS.filesSkipped++;
+                    continue;
+                }
+
+                const blobFindings = await scanVersion(blobId, filePath, `${commit.sha}:${filePath}`);
+                if (!blobFindings) continue;
+
+                let parentSecrets = null;
+                for (const finding of blobFindings.map(fromRelative)) {
+                    if (isOnFileLine(finding)) {
+                        if (!addedLines.has(finding.line)) continue;
+                    } else {
+                        if (!parentSecrets) {
+                            parentSecrets = new Set();
+                            for (const parentBlobId of parentBlobIds) {
+                                const parentFindings = await scanVersion(parentBlobId, filePath, `${commit.sha}^:${filePath}`) || [];
+                                parentFindings.forEach(parentFinding => parentSecrets.add(parentFinding.secretHash));
+                            }
+                        }
+                        if (parentSecrets.has(finding.secretHash)) continue;
+                    }
+                    commitFindings.push({ ...finding, commit: commit.sha, author: commit.author, date: commit.date });
+                }
+            }
+
+            if (commitFindings.length > 0) cache.commits[commit.sha] = commitFindings.map(toRelative);
+            findings.push(...commitFindings);
+        }
+
+        if (selected) {
+            for (const [sha, commitFindings] of Object.entries(cache.commits)) {
+                if (selected.has(sha) && !scanned.has(sha)) findings.push(...commitFindings.map(fromRelative));
+            }
+            findings.sort((a, b) => selected.get(a.commit) - selected.get(b.commit));
+        }
+
+        // After a complete scan of revisions without exclusions, their whole ancestry is known to be scanned
+        if (!since && depth === 0) {
+            try {
+                const { stdout } = await execFilePromise('git', ['rev-parse', '--revs-only', ...revisions], { cwd: repoRoot });
+                const resolved = stdout.split('\n').filter(Boolean);
+                if (resolved.length > 0 && !resolved.some(rev => rev.startsWith('^'))) {
+                    const independent = await execFilePromise('git', ['merge-base', '--independent', ...tips, ...resolved], { cwd: repoRoot });
+                    cache.tips = independent.stdout.split('\n').filter(Boolean);
+                }
+            } catch (error) {
+                // Keep the previous tips; the next run rescans what they don't cover
+            }
+        }
+        saveHistoryCache(cache);
+
+        // Check whether each secret is still in the same file at HEAD
+        const headSecrets = new Map();
+        for (const finding of findings) {
+            const relativePath = relative(finding.inArchive || finding.file);
+            if (relativePath.includes('\n')) continue;  // Can't be looked up by name; left unknown
+            if (!headSecrets.has(relativePath)) {
+                const object = await blobs.read(`HEAD:${relativePath}`);
+                const headFindings = object && object.type === 'blob'
+                    ? await scanBlob(object.content, path.join(repoRoot, relativePath), `HEAD:${relativePath}`)
+                    : [];
+                headSecrets.set(relativePath, headFindings && new Set(headFindings.map(f => f.secretHash)));
+            }
+            const secrets = headSecrets.get(relativePath);
+            if (secrets) finding.stillAtHead = secrets.has(finding.secretHash);  // Unknown when HEAD's version can't be read
+        }
+    } finally {
+        blobs.close();
+    }
+
+    console.log(tips.length > 0
+        ? `📜 Scanned ${commitCount} new commit(s); earlier commits were read from the history cache`
+        : `📜 Scanned ${commitCount} commit(s)`);
+    return findings;
+}
+
+// Scan git history across all branches, tags and stashes
+async function scanGitHistory({ cwd = '.', depth = 0, useAI = false, useCache = true } = {}) {
+    console.log(`\n📜 Scanning ${depth > 0 ? `last ${depth}` : 'all'} commits on all branches, tags and stashes for secrets...`);
+
+    // --all only reaches the latest stash; older ones are in the stash reflog
+    let stashes = [];
+    try {
+        const { stdout } = await execFilePromise('git', ['stash', 'list', '--format=%H'], { cwd });
+        stashes = stdout.split('\n').filter(Boolean);
+    } catch (error) {
+        // No stashes or not a repository; scanHistory reports the latter
+    }
+
+    try {
+        return await scanHistory({ cwd, revisions: ['--all', ...stashes], depth, useAI, useCache });
+    } catch (error) {
+        console.log(`⚠️  Unable to scan git history: ${error.message}`);
+        return [];
+    }
+}
+
+// Scan the lines added by each commit in a range (e.g. origin/main..HEAD) and/or since a date
+async function scanCommitRange({ cwd = '.', range = null, since = null, useAI = false, useCache = true }) {
+    const describe = [range, since && `since ${since}`].filter(Boolean).join(' ');
+    console.log(`📜 Scanning commits ${describe}...`);
+
+    try {
+        return await scanHistory({ cwd, revisions: [range || 'HEAD'], since, useAI, useCache });
+    } catch (error) {
+        throw new Error(`Unable to scan commits ${describe}: ${error.message}`);
+    }
+}
+
+// Base URL of the Ollama API. OLLAMA_HOST may be given without a scheme ("127.0.0.1:11434"), as Ollama accepts.
+function ollamaBaseUrl() {
+    return new URL(/^https?:\/\//i.test(AI_CONFIG.host) ? AI_CONFIG.host : `http://${AI_CONFIG.host}`);
+}
+
+// Send a request to the Ollama API and parse its JSON reply. Fails on an HTTP error status, a reply that isn't
+// JSON, or no complete reply within AI_CONFIG.timeout.
+function ollamaRequest(method, endpoint, body = null) {
+    return new Promise((resolve, reject) => {
+        const url = new URL(endpoint, ollamaBaseUrl());
+        const payload = body ? JSON.stringify(body) : null;
+        const headers = payload ? { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) } : {};
+
+        const request = (url.protocol === 'https:' ? https : http).request(url, { method, headers }, (response) => {
+            const chunks = [];
+            response.on('data', chunk => chunks.push(chunk));
+            response.on('error', fail);
+            response.on('end', () => {
+                clearTimeout(timer);
+                const text = Buffer.concat(chunks).toString('utf8');
+                if (response.statusCode !== 200) {
+                    reject(new Error(`${method} ${endpoint} returned HTTP ${response.statusCode}: ${text.substring(0, 200)}`));
+                    return;
+                }
+                try {
+                    resolve(JSON.parse(text));
+                } catch (error) {
+                    reject(new Error(`${method} ${endpoint} returned invalid JSON`));
+                }
+            });
+        });
+
+        const timer = setTimeout(() => request.destroy(new Error(`no reply from ${url.origin} within ${AI_CONFIG.timeout}ms`)), AI_CONFIG.timeout);
+        function fail(error) {
+            clearTimeout(timer);
+            reject(error);
+        }
+
+        request.on('error', fail);
+        request.end(payload);
+    });
+}
+
+// JSON schema the model's reply must follow, passed to Ollama as the structured output format
+const TRIAGE_RESPONSE_SCHEMA = {
+    type: 'object',
+    properties: {
+        label: { type: 'string', enum: ['true_positive', 'false_positive'] },
+        confidence: { type: 'number', minimum: 0, maximum: 1 },
+        reason: { type: 'string' }
+    },
+    required: ['label', 'confidence', 'reason']
+};
+
+// The model's verdict, or null unless the reply is exactly what TRIAGE_RESPONSE_SCHEMA allows
+function parseTriageResponse(text) {
+    let verdict;
+    try {
+        verdict = JSON.parse(text);
+    } catch (error) {
+        return null;
+    }
+
+    const keys = verdict && typeof verdict === 'object' && !Array.isArray(verdict) ? Object.keys(verdict) : [];
+    if (keys.length !== 3 || !TRIAGE_RESPONSE_SCHEMA.required.every(key => keys.includes(key))) return null;
+    if (!TRIAGE_RESPONSE_SCHEMA.properties.label.enum.includes(verdict.label)) return null;
+    if (typeof verdict.confidence !== 'number' || !(verdict.confidence >= 0 && verdict.confidence <= 1)) return null;
+    if (typeof verdict.reason !== 'string') return null;
+    return verdict;
+}
+
+// Lines around a candidate, numbered, for the triage prompt. Kept on the finding when --ai is on, since the
+// file content is gone by the time candidates are triaged.
+function triageContext(lines, line) {
+    const first = Math.max(1, line - AI_CONFIG.contextLines);
+    const last = Math.min(lines.length, line + AI_CONFIG.contextLines);
+    return {
+        line,
+        text: lines.slice(first - 1, last).map((text, index) => `${first + index}: ${text.substring(0, 500)}`).join('\n')
+    };
+}
+
+function triagePrompt(finding) {
+    return `You review candidates reported by a secret scanner. Decide whether the candidate is a real credential
+(true_positive) or not (false_positive): a placeholder, example or test value, a variable or function name, a
+reference to a value read at runtime, or an identifier or hash that grants no access.
+
+Detector: ${finding.type}
+File: ${path.basename(finding.file || '')}
+Candidate: ${finding.match}
+Context (the candidate is on line ${finding.aiContext.line}):
+${finding.aiContext.text}
+
+Reply with JSON: label, confidence between 0 and 1, and a one-sentence reason.`;
+}
+
+// Second opinion on our own detectors' candidates from a local Ollama model. Each candidate is sent with its
+// context, at most AI_CONFIG.concurrency at a time, and labelled true or false positive with a confidence.
+// False positives at or above minConfidence are suppressed; every other candidate stays reported, with the
+// verdict attached. Candidates whose request fails or whose reply doesn't fit the schema are left as they are.
+async function triageFindings(findings) {
+    const candidates = findings.filter(finding => finding.aiContext && !finding.suppression);
+    if (candidates.length === 0) return;
+
+    try {
+        const { models = [] } = await ollamaRequest('GET', '/api/tags');
+        const names = models.map(model => model.name);
+        if (!names.includes(AI_CONFIG.model) && !names.includes(`${AI_CONFIG.model}:latest`)) {
+            console.log(`⚠️  AI triage skipped: model ${AI_CONFIG.model} is not available in Ollama (run \`ollama pull ${AI_CONFIG.model}\`)`);
+            return;
+        }
+    } catch (error) {
+        console.log(`⚠️  AI triage skipped: Ollama is not reachable at ${ollamaBaseUrl().origin} (${error.message})`);
+        return;
+    }
+
+    let next = 0;
+    let suppressed = 0;
+    const failures = [];
+
+    const triageNext = async () => {
+        while (next < candidates.length) {
+            const finding = candidates[next++];
+            try {
+                const reply = await ollamaRequest('POST', '/api/generate', {
+                    model: AI_CONFIG.model,
+                    prompt: triagePrompt(finding),
+                    format: TRIAGE_RESPONSE_SCHEMA,
+                    stream: false,
+                    options: { temperature: 0 }
+                });
+                const verdict = parseTriageResponse(reply.response);
+                if (!verdict) throw new Error('reply does not match the response schema');
+
+                finding.triage = { ...verdict, model: AI_CONFIG.model };
+                if (verdict.label === 'false_positive' && verdict.confidence >= AI_CONFIG.minConfidence) {
+                    finding.suppression = { kind: 'ai', reason: verdict.reason || null, source: `${AI_CONFIG.model}, confidence ${verdict.confidence}` };
+                    suppressed++;
+                }
+            } catch (error) {
+                failures.push(`${finding.type} in ${path.basename(finding.file || '')}: ${error.message}`);
+            }
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(Math.max(1, AI_CONFIG.concurrency), candidates.length) }, triageNext));
+
+    console.log(`🤖 AI triage: ${candidates.length - failures.length} of ${candidates.length} candidate(s) reviewed by ${AI_CONFIG.model}, ${suppressed} suppressed as false positives`);
+    if (failures.length > 0) console.log(`⚠️  ${failures.length} candidate(s) not triaged, e.g. ${failures[0]}`);
+}
+
+// Inline suppression: `source-secure:allow [rule[,rule...]] [reason="..."]` in a //, #, /* */ or <!-- --> comment,
+// on the line of the finding or on a comment line directly above it. Without a rule, every finding there is allowed.
+const ALLOW_ANNOTATION = /(\/\/|#|\/\*|<!--)\s*source-secure:allow\b(.*)$/;
+
+// Parse the allow annotations in a file: Map<line number, { rules, reason, standalone }>
+function parseAllowAnnotations(content) {
+    const annotations = new Map();
+    if (!content.includes('source-secure:allow')) return annotations;
+
+    content.split('\n').forEach((line, index) => {
+        const annotation = ALLOW_ANNOTATION.exec(line);
+        if (!annotation) return;
+
+        const body = annotation[2].replace(/\s*(?:\*\/|-->)\s*$/, '');
+        const reason = /\breason=(?:"([^"]*)"|'([^']*)'|(\S+))/.exec(body);
+        const rules = (reason ? body.substring(0, reason.index) : body).split(/[\s,]+/).filter(Boolean).map(ruleIdFor);
+
+        annotations.set(index + 1, {
+            rules,
+            reason: reason ? (reason[1] || reason[2] || reason[3]) : null,
+            standalone: line.trim().startsWith(annotation[1])
+        });
+    });
+
+    return annotations;
+}
+
+// Mark findings allowed by an inline annotation with `suppression`. Findings without a line number are placed on
+// the first line containing their match.
+function applyInlineSuppressions(content, findings) {
+    const annotations = parseAllowAnnotations(content);
+    if (annotations.size === 0) return findings;
+
+    const lines = content.split('\n');
+    for (const finding of findings) {
+        let line = finding.line;
+        if (!line) {
+            const prefix = (finding.match || '').replace(/\.\.\.$/, '');
+            line = prefix ? lines.findIndex(text => text.includes(prefix)) + 1 : 0;
+        }
+        if (!line) continue;
+
+        const above = annotations.get(line - 1);
+        const candidates = [
+            [line, annotations.get(line)],
+            [line - 1, above && above.standalone ? above : null]
+        ];
+
+        for (const [annotationLine, annotation] of candidates) {
+            if (!annotation) continue;
+            if (annotation.rules.length > 0 && !annotation.rules.includes(ruleIdFor(finding.type))) continue;
+
+            finding.suppression = { kind: 'inline', reason: annotation.reason, source: `line ${annotationLine}` };
+            break;
+        }
+    }
+
+    return findings;
+}
+
+// Mark findings suppressed by the .sourcesecureignore file, and external tool findings allowed by an inline
+// annotation (findings from our own detectors are checked for annotations as the file is scanned)
+function markSuppressedFindings(findings, scanRoot) {
+    const externalByFile = new Map();
+
+    for (const finding of findings) {
+        if (finding.suppression || !finding.file) continue;
+
+        const rule = ignoreFileRuleFor(relativeFindingPath({ file: finding.inArchive || finding.file }, scanRoot));
+        if (rule) {
+            finding.suppression = { kind: 'ignore-file', reason: rule.reason, source: `${IGNORE_FILE_NAME}:${rule.line} ${rule.pattern}` };
+        } else if (finding.isExternal && finding.line) {
+            if (!externalByFile.has(finding.file)) externalByFile.set(finding.file, []);
+            externalByFile.get(finding.file).push(finding);
+        }
+    }
+
+    for (const [filePath, fileFindings] of externalByFile) {
+        try {
+            applyInlineSuppressions(fs.readFileSync(filePath, 'utf8'), fileFindings);
+        } catch (error) {
+            // Unreadable; the findings stay unsuppressed
+        }
+    }
+}
+
+// One-line description of why a finding was suppressed
+function describeSuppression(suppression) {
+    const where = suppression.kind === 'inline' ? `allowed by annotation on ${suppression.source}`
+        : suppression.kind === 'ai' ? `judged a false positive by ${suppression.source}`
+        : `ignored by ${suppression.source}`;
+    return `${where}${suppression.reason ? `: ${suppression.reason}` : ' (no reason given)'}`;
+}
+
+// Run every detector over a file's content
+async function scanContent(content, filePath, useAI = false) {
+    const findings = [];
+    const claimed = [];
+
+    // Key and certificate blocks first: their BEGIN lines and key material are not reported again by other detectors
+    findings.push(...detectMultiLineSecrets(content, claimed).map(f => ({ ...f, file: filePath })));
+
+    // Standard pattern matching: API keys, then the token-shaped generic patterns (private keys, registries...)
+    for (const detector of [...API_KEY_PATTERNS, ...GENERIC_PATTERNS.filter(d => !d.keywords)]) {
+        const matches = content.matchAll(detector.pattern);
+
+        for (const match of matches) {
+            const end = match.index + match[0].length;
+            if (claimed.some(([from, to]) => match.index < to && end > from)) continue;
+
+            // Context validation if required
+            if (detector.context) {
+                const contextStart = Math.max(0, match.index - 50);
+                const contextEnd = Math.min(content.length, match.index + match[0].length + 50);
+                const context = content.substring(contextStart, contextEnd);
+
+                if (!detector.context.test(context)) {
+                    continue;
+                }
+            }
+
+            // Get line and column number
+            const lines = content.substring(0, match.index).split('\n');
+            const lineNumber = lines.length;
+            claimed.push([match.index, end]);
+
+            findings.push({
+                type: detector.name,
+                file: filePath,
+                line: lineNumber,
+                column: lines[lines.length - 1].length + 1,
+                match: match[0].substring(0, 50) + (match[0].length > 50 ? '...' : ''),
+                secretHash: hashSecret(match[0]),
+                severity: detector.severity
+            });
+        }
+    }
+
+    // Terraform state and CloudFormation secrets, then sensitive keys and Kubernetes Secret data in .env,
+    // .properties, JSON, YAML and Terraform files
+    const entries = parseStructuredEntries(content, filePath);
+    findings.push(...detectIacSecrets(content, filePath, entries, claimed).map(f => ({ ...f, file: filePath })));
+    findings.push(...detectStructuredSecrets(content, entries, claimed).map(f => ({ ...f, file: filePath })));
+
+    // Generic password/secret/token assignments
+    findings.push(...detectGenericAssignments(content, filePath, claimed).map(f => ({ ...f, file: filePath })));
+
+    // Secrets behind base64, hex, URL-encoding, JSON escapes and compression
+    findings.push(...detectEncodedSecrets(content, claimed).map(f => ({ ...f, file: filePath })));
+
+    // Entropy-based detection
+    findings.push(...detectHighEntropyStrings(content, filePath, claimed).map(f => ({ ...f, file: filePath })));
+
+    annotateKeyPaths(content, findings, entries);
+    const result = applyInlineSuppressions(content, findings);
+
+    // Context for the AI triage stage, which runs once the whole scan is done
+    if (useAI) {
+        const allLines = content.split('\n');
+        result.filter(f => f.line && !f.suppression).forEach(f => { f.aiContext = triageContext(allLines, f.line); });
+    }
+
+    return result;
+}
+
+// Extension used to scan a notebook's code cells, by kernel language, so code-specific checks apply
+const NOTEBOOK_LANGUAGE_EXTENSIONS = { python: '.py', javascript: '.js', typescript: '.ts', r: '.r', julia: '.jl', scala: '.scala', java: '.java', bash: '.sh' };
+
+// MIME types of notebook outputs that are scanned. Images and other binary outputs are skipped.
+const NOTEBOOK_TEXT_MIME_TYPES = ['text/plain', 'text/html', 'text/markdown', 'text/latex', 'application/json', 'application/javascript'];
+
+// Notebook sources and stream texts are stored either as a string or as a list of lines
+function notebookText(value) {
+    return Array.isArray(value) ? value.join('') : (typeof value === 'string' ? value : '');
+}
+
+// Text printed by a cell: streams, rich outputs and error tracebacks (without their terminal colours)
+function notebookOutputText(outputs) {
+    const parts = [];
+    for (const output of Array.isArray(outputs) ? outputs : []) {
+        if (output.output_type === 'stream') {
+            parts.push(notebookText(output.text));
+        } else if (output.output_type === 'error') {
+            parts.push(`${output.ename}: ${output.evalue}`, ...(output.traceback || []));
+        } else if (output.data) {
+            for (const mimeType of NOTEBOOK_TEXT_MIME_TYPES) {
+                const value = output.data[mimeType];
+                if (value === undefined) continue;
+                parts.push(typeof value === 'object' && !Array.isArray(value) ? JSON.stringify(value, null, 2) : notebookText(value));
+            }
+        }
+    }
+    return parts.join('\n').replace(/\x1b\[[0-9;]*m/g, '');
+}
+
+// Scan a Jupyter notebook cell by cell. The source and the outputs of each cell are scanned separately, and
+// findings carry the cell number (counting from 1) and part, with lines counted from the start of that part.
+// A notebook that isn't valid JSON is scanned as text.
+async function scanNotebook(content, filePath, useAI = false) {
+    let notebook;
+    try {
+        notebook = JSON.parse(content);
+    } catch (error) {
+        return scanContent(content, filePath, useAI);
+    }
+    if (!notebook || !Array.isArray(notebook.cells)) return scanContent(content, filePath, useAI);
+
+    const metadata = notebook.metadata || {};
+    const language = ((metadata.kernelspec && metadata.kernelspec.language) || (metadata.language_info && metadata.language_info.name) || 'python').toLowerCase();
+    const codeExtension = NOTEBOOK_LANGUAGE_EXTENSIONS[language] || '.txt';
+
+    const findings = [];
+    for (const [index, cell] of notebook.cells.entries()) {
+        const parts = [
+            ['source', notebookText(cell.source), cell.cell_type === 'code' ? codeExtension : '.md'],
+            ['output', notebookOutputText(cell.outputs), '.txt']
+        ];
+
+        for (const [part, text, extension] of parts) {
+            if (!text.trim()) continue;
+            // The extension of the scanned name selects code or prose handling; findings get the notebook's path
+            const cellFindings = await scanContent(text, `${filePath}#cell-${index + 1}${extension}`, useAI);
+            findings.push(...cellFindings.map(f => ({ ...f, file: filePath, cell: { index: index + 1, part } })));
+        }
+    }
+    return findings;
+}
+
+// "#cell-7 (output)" for findings in a notebook cell, appended to the notebook's path when findings are listed
+function describeCell(finding) {
+    return finding.cell ? `#cell-${finding.cell.index} (${finding.cell.part})` : '';
+}
+
+// Clear the outputs of the given cells (numbered from 1) and write the notebook back, keeping Jupyter's
+// indentation. Returns the number of cells whose outputs were removed.
+function stripNotebookOutputs(filePath, cellIndexes) {
+    const content = fs.readFileSync(filePath, 'utf8');
+    const notebook = JSON.parse(content);
+    const indent = (content.match(/^\{\r?\n( +)"/) || [null, ' '])[1].length;
+
+    let stripped = 0;
+    for (const index of cellIndexes) {
+        const cell = notebook.cells[index - 1];
+        if (!cell || !Array.isArray(cell.outputs) || cell.outputs.length === 0) continue;
+        cell.outputs = [];
+        if ('execution_count' in cell) cell.execution_count = null;
+        stripped++;
+    }
+
+    if (stripped > 0) fs.writeFileSync(filePath, JSON.stringify(notebook, null, indent) + '\n');
+    return stripped;
+}
+
+// Binary files are recognized the way git recognizes them: by a NUL byte in the first 8000 bytes
+function isBinaryContent(buffer) {
+    return buffer.subarray(0, 8000).includes(0);
+}
+
+// Printable ASCII character or tab
+function isPrintableByte(byte) {
+    return (byte >= 0x20 && byte < 0x7f) || byte === 0x09;
+}
+
+// Extract the printable ASCII and UTF-16LE strings of at least BINARY_CONFIG.minLength characters, like
+// `strings -a` and `strings -a -el`. Each string has its byte offset and width (bytes per character).
+function extractStrings(buffer) {
+    const minLength = Math.max(1, BINARY_CONFIG.minLength);
+    const strings = [];
+
+    let start = -1;
+    for (let i = 0; i <= buffer.length; i++) {
+        if (i < buffer.length && isPrintableByte(buffer[i])) {
+            if (start === -1) start = i;
+        } else if (start !== -1) {
+            if (i - start >= minLength) strings.push({ text: buffer.toString('latin1', start, i), offset: start, width: 1 });
+            start = -1;
+        }
+    }
+
+    // UTF-16LE (Windows resources, .NET string tables): printable characters each followed by a zero byte
+    for (let i = 0; i + 1 < buffer.length;) {
+        let end = i;
+        while (end + 1 < buffer.length && isPrintableByte(buffer[end]) && buffer[end + 1] === 0) end += 2;
+        if ((end - i) / 2 >= minLength) strings.push({ text: buffer.toString('utf16le', i, end), offset: i, width: 2 });
+        i = end > i ? end : i + 1;
+    }
+
+    return strings.sort((a, b) => a.offset - b.offset);
+}
+
+// Scan the printable strings of a binary file. Each string is scanned as a line of its own, so consecutive
+// strings such as the lines of an embedded key block still form one block, and findings are reported by byte
+// offset instead of line and column. Entropy detection is left out: compiled code is full of random-looking strings.
+async function scanBinary(buffer, filePath) {
+    const strings = extractStrings(buffer);
+    const findings = await scanContent(strings.map(s => s.text).join('\n'), filePath);
+
+    return findings
+        .filter(finding => finding.type !== 'High Entropy String')
+        .map(({ line, column, endLine, ...finding }) => {
+            const string = strings[line - 1];
+            return string ? { ...finding, offset: string.offset + ((column || 1) - 1) * string.width } : finding;
+        });
+}
+
+// Office documents (OOXML and ODF, both ZIP packages of XML parts) and PDFs, scanned by their text
+const DOCUMENT_EXTENSIONS = ['.docx', '.docm', '.xlsx', '.xlsm', '.pptx', '.pptm', '.odt', '.ods', '.odp', '.pdf'];
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+// Decode the predefined XML entities and character references of a text node or attribute value
+function decodeXmlText(text) {
+    return text.replace(/&(?:#x([0-9a-fA-F]+)|#(\d+)|(amp|lt|gt|quot|apos));/g, (entity, hex, decimal, name) => {
+        if (name) return XML_ENTITIES[name];
+        const codePoint = parseInt(hex || decimal, hex ? 16 : 10);
+        return codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : entity;
+    });
+}
+
+// Value of an attribute in an element's start tag, or null
+function xmlAttribute(tag, name) {
+    const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*"([^"]*)"`));
+    return match ? decodeXmlText(match[1]) : null;
+}
+
+// Paragraphs of a WordprocessingML (w:) or DrawingML (a:) part: the text runs up to each paragraph end, with
+// tabs and line breaks. Paragraph properties are dropped first, since their tab stops are also <w:tab/>.
+function ooxmlParagraphs(xml) {
+    const paragraphs = [];
+    let current = '';
+
+    const body = xml.replace(/<([wa]):pPr\b(?:[^>]*\/>|[\s\S]*?<\/\1:pPr>)/g, '');
+    for (const match of body.matchAll(/<([wa]):t(?:\s[^>/]*)?>([^<]*)<\/\1:t>|<[wa]:tab\b[^>]*\/>|<[wa]:(?:br|cr)\b[^>]*\/>|<\/[wa]:p>|<[wa]:p\b[^>]*\/>/g)) {
+        if (match[2] !== undefined) {
+            current += decodeXmlText(match[2]);
+        } else if (match[0].startsWith('</') || /^<[wa]:p\b/.test(match[0])) {
+            // End of a paragraph, or an empty one
+            paragraphs.push(current);
+            current = '';
+        } else {
+            current += /^<[wa]:tab/.test(match[0]) ? '\t' : '\n';
+        }
+    }
+    return paragraphs;
+}
+
+// Paragraphs and headings of an ODF part. Text inside a paragraph's nested paragraphs (notes, annotations)
+// is kept with it.
+function odfParagraphs(xml) {
+    const paragraphs = [];
+    let current = '';
+    let depth = 0;
+
+    for (const match of xml.matchAll(/<(\/?)text:(p|h|s|tab|line-break)\b([^>]*?)(\/?)>|<[^>]*>|([^<]+)/g)) {
+        const [, closing, element, attributes, selfClosing, characters] = match;
+        if (characters !== undefined) {
+            if (depth > 0) current += decodeXmlText(characters);
+        } else if (element === 's') {
+            current += ' '.repeat(parseInt(xmlAttribute(attributes, 'text:c') || '1', 10) || 1);
+        } else if (element === 'tab') {
+            current += '\t';
+        } else if (element === 'line-break') {
+            current += '\n';
+        } else if (element && selfClosing) {
+            if (depth === 0) paragraphs.push('');
+        } else if (element) {
+            depth += closing ? -1 : 1;
+            if (closing && depth === 0) {
+                paragraphs.push(current);
+                current = '';
+            }
+        }
+    }
+    return paragraphs;
+}
+
+// Column letters of a 0-based column index: 0 is A, 26 is AA
+function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+}
+
+// Targets of an OOXML part's relationships by id, as paths in the package, with their types
+function ooxmlRelationships(parts, partName) {
+    const relsName = path.posix.join(path.posix.dirname(partName), '_rels', `${path.posix.basename(partName)}.rels`);
+    const relationships = new Map();
+
+    for (const match of (parts.get(relsName) || '').matchAll(/<Relationship\b[^>]*>/g)) {
+        const target = xmlAttribute(match[0], 'Target');
+        if (!target || xmlAttribute(match[0], 'TargetMode') === 'External') continue;
+        relationships.set(xmlAttribute(match[0], 'Id'), {
+            target: target.startsWith('/') ? target.substring(1) : path.posix.join(path.posix.dirname(partName), target),
+            type: (xmlAttribute(match[0], 'Type') || '').split('/').pop()
+        });
+    }
+    return relationships;
+}
+
+// Paragraphs of a part, one row each, located by `location` plus the paragraph number
+function paragraphRows(paragraphs, location) {
+    return paragraphs.map((text, index) => [{ text, location: { ...location, paragraph: index + 1 } }]);
+}
+
+// Word: the body, then the headers, footers, footnotes, endnotes and comments it references (located by part name)
+function wordDocumentRows(parts) {
+    const rows = paragraphRows(ooxmlParagraphs(parts.get('word/document.xml') || ''), {});
+
+    for (const { target, type } of ooxmlRelationships(parts, 'word/document.xml').values()) {
+        if (!['header', 'footer', 'footnotes', 'endnotes', 'comments'].includes(type) || !parts.has(target)) continue;
+        rows.push(...paragraphRows(ooxmlParagraphs(parts.get(target)), { part: path.posix.basename(target, '.xml') }));
+    }
+    return rows;
+}
+
+// Excel: each worksheet's rows, cells located by sheet name and reference. Only text cells are read: shared
+// strings, inline strings and formula results.
+function excelWorkbookRows(parts) {
+    const sharedStrings = [...(parts.get('xl/sharedStrings.xml') || '').matchAll(/<si>([\s\S]*?)<\/si>/g)].map(item =>
+        [...item[1].replace(/<rPh\b[\s\S]*?<\/rPh>/g, '').matchAll(/<t(?:\s[^>/]*)?>([^<]*)<\/t>/g)].map(t => decodeXmlText(t[1])).join(''));
+    const relationships = ooxmlRelationships(parts, 'xl/workbook.xml');
+    const rows = [];
+
+    for (const sheet of (parts.get('xl/workbook.xml') || '').matchAll(/<sheet\b[^>]*>/g)) {
+        const relationship = relationships.get(xmlAttribute(sheet[0], 'r:id'));
+        const xml = relationship && parts.get(relationship.target);
+        if (!xml) continue;
+
+        const sheetName = xmlAttribute(sheet[0], 'name');
+        for (const row of xml.matchAll(/<row\b[^>]*?(?<!\/)>([\s\S]*?)<\/row>/g)) {
+            const cells = [];
+            for (const cell of row[1].matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+                const type = xmlAttribute(cell[1], 't');
+                const inner = cell[2] || '';
+                const value = (inner.match(/<v>([^<]*)<\/v>/) || [])[1];
+
+                let text = null;
+                if (type === 's' && value !== undefined) {
+                    text = sharedStrings[parseInt(value, 10)];
+                } else if (type === 'inlineStr') {
+                    text = [...inner.matchAll(/<t(?:\s[^>/]*)?>([^<]*)<\/t>/g)].map(t => decodeXmlText(t[1])).join('');
+                } else if (type === 'str' && value !== undefined) {
+                    text = decodeXmlText(value);
+                }
+                if (text) cells.push({ text, location: { sheet: sheetName, cell: xmlAttribute(cell[1], 'r') } });
+            }
+            if (cells.length > 0) rows.push(cells);
+        }
+    }
+    return rows;
+}
+
+// PowerPoint: each slide's paragraphs in presentation order, then its speaker notes
+function powerPointRows(parts) {
+    const relationships = ooxmlRelationships(parts, 'ppt/presentation.xml');
+    const slideIds = (parts.get('ppt/presentation.xml') || '').match(/<p:sldIdLst>[\s\S]*?<\/p:sldIdLst>/);
+    const rows = [];
+
+    [...(slideIds ? slideIds[0].matchAll(/<p:sldId\b[^>]*>/g) : [])].forEach((slideId, index) => {
+        const relationship = relationships.get(xmlAttribute(slideId[0], 'r:id'));
+        if (!relationship || !parts.has(relationship.target)) return;
+
+        rows.push(...paragraphRows(ooxmlParagraphs(parts.get(relationship.target)), { slide: index + 1 }));
+        for (const { target, type } of ooxmlRelationships(parts, relationship.target).values()) {
+            if (type === 'notesSlide' && parts.has(target)) {
+                rows.push(...paragraphRows(ooxmlParagraphs(parts.get(target)), { slide: index + 1, part: 'notes' }));
+            }
+        }
+    });
+    return rows;
+}
+
+// OpenDocument: text paragraphs, spreadsheet cells (with repeated rows and columns counted) or presentation
+// pages and their notes, from content.xml
+function openDocumentRows(parts, extension) {
+    const content = parts.get('content.xml') || '';
+
+    if (extension === '.ods') {
+        const rows = [];
+        for (const table of content.matchAll(/<table:table(?=[\s>])([^>]*)>([\s\S]*?)<\/table:table>/g)) {
+            const sheetName = xmlAttribute(table[1], 'table:name');
+            let rowIndex = 0;
+
+            for (const row of table[2].matchAll(/<table:table-row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/table:table-row>)/g)) {
+                const cells = [];
+                let columnIndex = 0;
+                for (const cell of (row[2] || '').matchAll(/<table:(?:covered-)?table-cell\b([^>]*?)(?:\/>|>([\s\S]*?)<\/table:(?:covered-)?table-cell>)/g)) {
+                    const text = odfParagraphs(cell[2] || '').join('\n');
+                    if (text) cells.push({ text, location: { sheet: sheetName, cell: `${columnName(columnIndex)}${rowIndex + 1}` } });
+                    columnIndex += parseInt(xmlAttribute(cell[1], 'table:number-columns-repeated') || '1', 10);
+                }
+                if (cells.length > 0) rows.push(cells);
+                rowIndex += parseInt(xmlAttribute(row[1], 'table:number-rows-repeated') || '1', 10);
+            }
+        }
+        return rows;
+    }
+
+    if (extension === '.odp') {
+        const rows = [];
+        [...content.matchAll(/<draw:page\b[^>]*>([\s\S]*?)<\/draw:page>/g)].forEach((page, index) => {
+            const notes = page[1].match(/<presentation:notes\b[\s\S]*?<\/presentation:notes>/);
+            const slide = notes ? page[1].replace(notes[0], '') : page[1];
+            rows.push(...paragraphRows(odfParagraphs(slide), { slide: index + 1 }));
+            if (notes) rows.push(...paragraphRows(odfParagraphs(notes[0]), { slide: index + 1, part: 'notes' }));
+        });
+        return rows;
+    }
+
+    return paragraphRows(odfParagraphs(content), {});
+}
+
+// Read the XML parts of an OOXML or ODF package, with the same size and ratio limits as archives
+async function readDocumentParts(buffer) {
+    const parts = new Map();
+    const context = { state: createExtractionState(), chain: [] };
+
+    await readZipEntries({ buffer }, context, (entry) => {
+        parts.set(entry.name, entry.data.toString('utf8'));
+    }, { select: name => /\.(xml|rels)$/i.test(name) });
+    return parts;
+}
+
+// Skip to the end of a PDF string or array element starting at `start`, honouring nesting and escapes
+function pdfLiteralStringEnd(source, start) {
+    let depth = 0;
+    for (let i = start; i < source.length; i++) {
+        if (source[i] === '\\') {
+            i++;
+        } else if (source[i] === '(') {
+            depth++;
+        } else if (source[i] === ')' && --depth === 0) {
+            return i + 1;
+        }
+    }
+    return source.length;
+}
+
+// Bytes of a PDF literal string, "(...)" with its escapes
+function decodePdfLiteralString(literal) {
+    const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+    return Buffer.from(literal.slice(1, -1).replace(/\\(?:([0-7]{1,3})|(\r\n|\r|\n)|(.))/gs, (escape, octal, newline, char) => {
+        if (octal) return String.fromCharCode(parseInt(octal, 8) & 0xff);
+        if (newline) return '';
+        return escapes[char] || char;
+    }), 'latin1');
+}
+
+// Bytes of a PDF hex string, "<...>"
+function decodePdfHexString(hex) {
+    const digits = hex.slice(1, -1).replace(/[^0-9a-fA-F]/g, '');
+    return Buffer.from(digits.length % 2 ? `${digits}0` : digits, 'hex');
+}
+
+// Value of a key in a PDF dictionary's source: an indirect reference ("12 0 R"), a dictionary, an array, a
+// name, a number or a string, as source text
+function pdfDictValue(dict, key) {
+    const match = new RegExp(`/${key}(?![A-Za-z0-9])\\s*`).exec(dict);
+    if (!match) return null;
+
+    const start = match.index + match[0].length;
+    const reference = dict.substring(start).match(/^\d+\s+\d+\s+R\b/);
+    if (reference) return reference[0];
+
+    const open = dict.startsWith('<<', start) ? '<<' : dict[start] === '[' ? '[' : null;
+    if (open) {
+        const close = open === '<<' ? '>>' : ']';
+        let depth = 0;
+        for (let i = start; i < dict.length; i++) {
+            if (dict.startsWith(open, i)) {
+                depth++;
+                i += open.length - 1;
+            } else if (dict.startsWith(close, i)) {
+                depth--;
+                i += close.length - 1;
+                if (depth === 0) return dict.substring(start, i + 1);
+            }
+        }
+        return dict.substring(start);
+    }
+
+    const token = dict.substring(start).match(/^(?:\/[^\s/<>[\]()]*|[^\s/<>[\]()]+)/);
+    return token ? token[0] : null;
+}
+
+// Objects of a PDF by number, each with its dictionary source and, for streams, its decoded data (FlateDecode
+// or unfiltered; other filters are left undecoded). Objects packed in object streams are unpacked.
+// Decompressed data counts against the same budget as archives.
+function readPdfObjects(buffer) {
+    const source = buffer.toString('latin1');
+    const objects = new Map();
+    const state = createExtractionState();
+
+    const decodeStream = (dict, data) => {
+        const filter = pdfDictValue(dict, 'Filter') || '';
+        if (!filter) return data;
+        if (!/^\[?\s*\/FlateDecode\s*\]?$/.test(filter) || state.remaining <= 0) return null;
+        try {
+            const decoded = zlib.inflateSync(data, { maxOutputLength: state.remaining, finishFlush: zlib.constants.Z_SYNC_FLUSH });
+            state.remaining -= decoded.length;
+            return decoded;
+        } catch (error) {
+            return null;
+        }
+    };
+
+    const objectPattern = /(\d+)\s+\d+\s+obj\b/g;
+    let match;
+    while ((match = objectPattern.exec(source))) {
+        const start = match.index + match[0].length;
+        const terminator = /stream(?:\r\n|\n|\r)|endobj\b/g;
+        terminator.lastIndex = start;
+        const end = terminator.exec(source);
+        if (!end) break;
+
+        const dict = source.substring(start, end.index);
+        if (end[0] === 'endobj') {
+            objects.set(match[1], { dict, data: null });
+            objectPattern.lastIndex = end.index;
+            continue;
+        }
+
+        const dataStart = end.index + end[0].length;
+        const length = (dict.match(/\/Length\s+(\d+)(?!\d|\s+\d+\s+R)/) || [])[1];
+        let dataEnd = length !== undefined ? dataStart + parseInt(length, 10) : -1;
+        if (dataEnd < 0 || !/^\s*endstream/.test(source.substring(dataEnd, dataEnd + 20))) {
+            dataEnd = source.indexOf('endstream', dataStart);
+            if (dataEnd === -1) break;
+        }
+        objects.set(match[1], { dict, data: decodeStream(dict, buffer.subarray(dataStart, dataEnd)) });
+        objectPattern.lastIndex = dataEnd;
+    }
+
+    // Object streams: a header of object number and offset pairs, then the objects from /First on
+    for (const { dict, data } of [...objects.values()]) {
+        if (!/\/Type\s*\/ObjStm\b/.test(dict) || !data) continue;
+        const first = parseInt(pdfDictValue(dict, 'First'), 10);
+        const content = data.toString('latin1');
+        const header = content.substring(0, first).trim().split(/\s+/).map(Number);
+        for (let i = 0; i + 1 < header.length; i += 2) {
+            const objectEnd = i + 3 < header.length ? first + header[i + 3] : content.length;
+            if (!objects.has(String(header[i]))) objects.set(String(header[i]), { dict: content.substring(first + header[i + 1], objectEnd), data: null });
+        }
+    }
+
+    return objects;
+}
+
+// Character map of a font's /ToUnicode stream: code length in bytes and text by code
+function parsePdfToUnicode(data) {
+    const cmap = data.toString('latin1');
+    const codespace = cmap.match(/begincodespacerange\s*<([0-9a-fA-F]+)>/);
+    const codeLength = codespace ? Math.min(4, Math.max(1, Math.floor(codespace[1].length / 2))) : 2;
+    const codes = new Map();
+    const utf16 = bytes => (bytes.length % 2 ? bytes.toString('latin1') : bytes.swap16().toString('utf16le'));
+
+    for (const block of cmap.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+        for (const pair of block[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g)) {
+            codes.set(parseInt(pair[1], 16), utf16(decodePdfHexString(`<${pair[2]}>`)));
+        }
+    }
+    for (const block of cmap.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+        for (const range of block[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(?:<([0-9a-fA-F]+)>|\[([^\]]*)\])/g)) {
+            const low = parseInt(range[1], 16);
+            const high = Math.min(parseInt(range[2], 16), low + 0xffff);
+            const targets = range[4] ? [...range[4].matchAll(/<([0-9a-fA-F]*)>/g)].map(target => utf16(decodePdfHexString(`<${target[1]}>`))) : null;
+            for (let code = low; code <= high; code++) {
+                if (targets) {
+                    if (targets[code - low] !== undefined) codes.set(code, targets[code - low]);
+                } else {
+                    // The last byte of the destination is incremented across the range
+                    const base = decodePdfHexString(`<${range[3]}>`);
+                    base[base.length - 1] += code - low;
+                    codes.set(code, utf16(base));
+                }
+            }
+        }
+    }
+    return { codeLength, codes };
+}
+
+// Text of a page's content stream: the strings shown by Tj, TJ, ' and ", with a line break when the text
+// moves to a new line and a space when it moves along the same one
+function pdfContentText(content, fonts) {
+    const lines = [''];
+    const operands = [];
+    let font = null;
+    let lastY = null;
+
+    const show = (bytes) => {
+        if (!font || !font.codes) {
+            lines[lines.length - 1] += bytes.toString('latin1');
+            return;
+        }
+        for (let i = 0; i + font.codeLength <= bytes.length; i += font.codeLength) {
+            const code = bytes.readUIntBE(i, font.codeLength);
+            lines[lines.length - 1] += font.codes.has(code) ? font.codes.get(code) : '';
+        }
+    };
+    const newLine = () => {
+        if (lines[lines.length - 1]) lines.push('');
+    };
+
+    const tokenPattern = /\(|<<|>>|<[0-9a-fA-F\s]*>|\[|\]|\/[^\s/<>[\]()%]*|[^\s/<>[\]()%]+|%[^\r\n]*/g;
+    let token;
+    while ((token = tokenPattern.exec(content))) {
+        const value = token[0];
+        if (value === '(') {
+            const end = pdfLiteralStringEnd(content, token.index);
+            operands.push(decodePdfLiteralString(content.substring(token.index, end)));
+            tokenPattern.lastIndex = end;
+        } else if (value.startsWith('<') && value !== '<<') {
+            operands.push(decodePdfHexString(value));
+        } else if (value === '[' || value === ']' || value.startsWith('/') || /^[-+.\d]/.test(value)) {
+            operands.push(value);
+        } else if (value === 'ID') {
+            // Inline image data runs up to EI
+            const end = content.substring(tokenPattern.lastIndex).search(/\sEI(?=\s|$)/);
+            tokenPattern.lastIndex = end === -1 ? content.length : tokenPattern.lastIndex + end + 3;
+            operands.length = 0;
+        } else if (!value.startsWith('%') && value !== '<<' && value !== '>>') {
+            if (value === 'Tf') {
+                font = fonts.get(String(operands[operands.length - 2]).substring(1)) || null;
+            } else if (value === 'Tj' || value === "'" || value === '"') {
+                if (value !== 'Tj') newLine();
+                if (Buffer.isBuffer(operands[operands.length - 1])) show(operands[operands.length - 1]);
+            } else if (value === 'TJ') {
+                for (const operand of operands) {
+                    if (Buffer.isBuffer(operand)) show(operand);
+                    else if (parseFloat(operand) < -200) lines[lines.length - 1] += ' ';
+                }
+            } else if (value === 'Td' || value === 'TD') {
+                if (parseFloat(operands[operands.length - 1]) !== 0) newLine();
+                else lines[lines.length - 1] += ' ';
+            } else if (value === 'T*') {
+                newLine();
+            } else if (value === 'Tm') {
+                const y = operands[operands.length - 1];
+                if (lastY !== null && y !== lastY) newLine();
+                else if (lastY !== null) lines[lines.length - 1] += ' ';
+                lastY = y;
+            }
+            operands.length = 0;
+        }
+    }
+    return lines.join('\n');
+}
+
+// PDF: the text of each page in page-tree order, one row per line, located by page number. Fonts with a
+// /ToUnicode map are decoded through it; others are read as single-byte text.
+function pdfDocumentRows(buffer) {
+    const source = buffer.toString('latin1');
+    if (/\/Encrypt\s+\d+\s+\d+\s+R/.test(source)) return [];
+
+    const objects = readPdfObjects(buffer);
+    const resolve = value => {
+        const reference = value && value.match(/^(\d+)\s+\d+\s+R$/);
+        return reference ? ((objects.get(reference[1]) || {}).dict || '') : (value || '');
+    };
+    const references = value => [...(value || '').matchAll(/(\d+)\s+\d+\s+R/g)].map(reference => reference[1]);
+
+    // Walk the page tree from the catalog, inheriting /Resources
+    const pages = [];
+    const visited = new Set();
+    const roots = [...source.matchAll(/\/Root\s+(\d+)\s+\d+\s+R/g)];
+    const catalog = roots.length > 0 ? resolve(`${roots[roots.length - 1][1]} 0 R`) : '';
+    (function walkPages(number, inheritedResources) {
+        const node = objects.get(number);
+        if (!node || visited.has(number)) return;
+        visited.add(number);
+
+        const resources = pdfDictValue(node.dict, 'Resources') || inheritedResources;
+        if (/\/Type\s*\/Pages\b/.test(node.dict)) {
+            for (const kid of references(resolve(pdfDictValue(node.dict, 'Kids')))) walkPages(kid, resources);
+        } else if (/\/Type\s*\/Page\b/.test(node.dict)) {
+            pages.push({ dict: node.dict, resources });
+        }
+    })(references(pdfDictValue(catalog, 'Pages'))[0], null);
+
+    const rows = [];
+    pages.forEach((page, index) => {
+        const fonts = new Map();
+        const fontDict = resolve(pdfDictValue(resolve(page.resources), 'Font'));
+        for (const entry of fontDict.matchAll(/\/([^\s/<>[\]()]+)\s+(\d+)\s+\d+\s+R/g)) {
+            const fontObject = resolve(`${entry[2]} 0 R`);
+            const toUnicode = objects.get(references(pdfDictValue(fontObject, 'ToUnicode'))[0]);
+            fonts.set(entry[1], toUnicode && toUnicode.data ? parsePdfToUnicode(toUnicode.data) : null);
+        }
+
+        // Contents is a stream, an array of streams, or a reference to such an array
+        const content = references(pdfDictValue(page.dict, 'Contents'))
+            .flatMap(number => {
+                const object = objects.get(number);
+                return object && !object.data && object.dict.trim().startsWith('[') ? references(object.dict) : [number];
+            })
+            .map(number => (objects.get(number) || {}).data)
+            .filter(Boolean)
+            .map(data => data.toString('latin1'))
+            .join('\n');
+        for (const line of pdfContentText(content, fonts).split('\n')) {
+            if (line.trim()) rows.push([{ text: line, location: { page: index + 1 } }]);
+        }
+    });
+    return rows;
+}
+
+// Scan the text of an Office document or PDF. The text is scanned as a whole, one row per line (paragraph,
+// spreadsheet row or PDF line, with spreadsheet cells separated by tabs), and each finding is located by
+// the part of the document it starts in: sheet and cell, page, slide, part or paragraph.
+async function scanDocument(buffer, filePath, useAI = false) {
+    const extension = path.extname(filePath).toLowerCase();
+    let rows;
+    if (extension === '.pdf') {
+        rows = pdfDocumentRows(buffer);
+    } else {
+        const parts = await readDocumentParts(buffer);
+        if (extension.startsWith('.doc')) rows = wordDocumentRows(parts);
+        else if (extension.startsWith('.xls')) rows = excelWorkbookRows(parts);
+        else if (extension.startsWith('.ppt')) rows = powerPointRows(parts);
+        else rows = openDocumentRows(parts, extension);
+    }
+
+    // Start offset of each row's cells in the scanned text
+    const segments = [];
+    let text = '';
+    for (const row of rows) {
+        if (text) text += '\n';
+        row.forEach((cell, index) => {
+            if (index > 0) text += '\t';
+            segments.push({ start: text.length, location: cell.location });
+            text += cell.text;
+        });
+    }
+
+    const lineStarts = [0];
+    for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) lineStarts.push(i + 1);
+
+    // The last segment starting at or before an offset
+    const segmentAt = (offset) => {
+        let low = 0;
+        let high = segments.length - 1;
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+            if (segments[middle].start <= offset) low = middle;
+            else high = middle - 1;
+        }
+        return segments[low];
+    };
+
+    const findings = await scanContent(text, filePath, useAI);
+    return findings.map(({ line, column, endLine, ...finding }) => {
+        const segment = segmentAt(line ? lineStarts[line - 1] + (column || 1) - 1 : 0);
+        return segment ? { ...finding, document: segment.location } : finding;
+    });
+}
+
+// "sheet Credentials, cell B7", "page 3", "slide 2, notes, paragraph 1" or "header1, paragraph 4"
+function describeDocumentLocation(document) {
+    return [
+        document.sheet !== undefined && document.sheet !== null ? `sheet ${document.sheet}` : null,
+        document.cell ? `cell ${document.cell}` : null,
+        document.page ? `page ${document.page}` : null,
+        document.slide ? `slide ${document.slide}` : null,
+        document.part || null,
+        document.paragraph ? `paragraph ${document.paragraph}` : null
+    ].filter(Boolean).join(', ');
+}
+
+// " (sheet Credentials, cell B7)" after a document's path in console output
+function describeDocument(finding) {
+    return finding.document ? ` (${describeDocumentLocation(finding.document)})` : '';
+}
+
+// Scan the contents of a file, read from disk or from an archive entry. filePath selects the handling
+// (documents, notebooks, .env files, ...) and labels the findings.
+async function scanBuffer(buffer, filePath, useAI = false) {
+    if (DOCUMENT_EXTENSIONS.includes(path.extname(filePath).toLowerCase())) {
+        SCAN_STATS.filesScanned++;
+        return await scanDocument(buffer, filePath, useAI);
+    }
+
+    if (isBinaryContent(buffer)) {
+        if (!BINARY_CONFIG.enabled || buffer.length > BINARY_CONFIG.maxSize) {
+            SCAN_STATS.filesSkipped++;
+            return [];
+        }
+        SCAN_STATS.filesScanned++;
+        return await scanBinary(buffer, filePath);
+    }
+
+    const content = buffer.toString('utf8');
+    SCAN_STATS.filesScanned++;
+    if (path.extname(filePath).toLowerCase() === '.ipynb') return await scanNotebook(content, filePath, useAI);
+    return await scanContent(content, filePath, useAI);
+}
+
+// Main scanning function
+async function scanFile(filePath, useAI = false) {
+    try {
+        return await scanBuffer(fs.readFileSync(filePath), filePath, useAI);
+    } catch (error) {
+        SCAN_STATS.errors.push({ file: filePath, message: error.message });
+        return [];
+    }
+}
+
+// Get remediation suggestions
+function getRemediation(finding) {
+    const remediations = {
+        'CRITICAL': '🚨 IMMEDIATE ACTION REQUIRED: Revoke this credential immediately and rotate to a new one.',
+        'HIGH': '⚠️  HIGH RISK: This credential should be removed and stored in environment variables.',
+        'MEDIUM': '⚡ MEDIUM RISK: Consider moving to secure storage or using a secrets manager.',
+        'LOW': 'ℹ️  LOW RISK: Review if this needs to be in the codebase.'
+    };
+
+    const specificRemediations = {
+        'AWS': 'Use AWS Secrets Manager or IAM roles instead of hardcoded credentials.',
+        'Google': 'Use Google Secret Manager or service account key files outside the repo.',
+        'GitHub': 'Revoke token at https://github.com/settings/tokens and use GitHub Secrets for Actions.',
+        'Database': 'Use connection strings from environment variables or config files outside the repo.',
+        'API Key': 'Store in .env file (git-ignored) or use a secrets management service.',
+        'Private Key': 'NEVER commit private keys. Store securely and reference via environment variables.',
+        'JWT': 'JWTs may contain sensitive data. Ensure they are not hardcoded and rotate regularly.',
+        'Kubernetes': 'Keep Secret manifests out of the repo: use Sealed Secrets, SOPS or an external secrets operator.',
+        'Archive': 'Entries were left unextracted and unscanned. Paths or links leading outside the archive and extreme compression ratios are signs of a malicious archive: inspect it before extracting it anywhere.',
+        'Terraform': 'Never commit state: keep it in an encrypted remote backend and rotate every secret it contains.',
+        'CloudFormation': 'Remove the Default and pass the value at deploy time, or use a Secrets Manager dynamic reference.'
+    };
+
+    let remediation = remediations[finding.severity] || remediations['LOW'];
+
+    for (const [key, value] of Object.entries(specificRemediations)) {
+        if (finding.type.includes(key)) {
+            remediation += `\n   💡 ${value}`;
+            break;
+        }
+    }
+
+    return remediation;
+}
+
+// Report formats accepted by --format
+const REPORT_FORMATS = ['text', 'sarif', 'json', 'jsonl', 'html'];
+
+// Version of the JSON / JSONL report format (schemas/report-v1.schema.json).
+// Minor versions only add fields; removing or renaming a field bumps the major version.
+const REPORT_SCHEMA_VERSION = '1.12.0';
+const REPORT_SCHEMA_ID = 'https://github.com/brianmcaudill/source-secure/schemas/report-v1.schema.json';
+
+// SARIF result levels and GitHub code scanning security-severity scores for each severity
+const SARIF_LEVELS = {
+    CRITICAL: { level: 'error', securitySeverity: '9.5' },
+    HIGH: { level: 'error', securitySeverity: '8.0' },
+    MEDIUM: { level: 'warning', securitySeverity: '5.5' },
+    LOW: { level: 'note', securitySeverity: '2.0' }
+};
+
+// Turn a detector name into a stable rule id, e.g. "AWS Access Key ID" -> "aws-access-key-id"
+function ruleIdFor(name) {
+    return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+// Remediation text without the console indentation
+function plainRemediation(finding) {
+    return getRemediation(finding).replace(/\n\s+/g, '\n');
+}
+
+// Build a SARIF rule for a detector
+function buildSarifRule(name, severity) {
+    const mapping = SARIF_LEVELS[severity] || SARIF_LEVELS.LOW;
+    const help = plainRemediation({ type: name, severity });
+
+    return {
+        id: ruleIdFor(name),
+        name: name.replace(/[^a-zA-Z0-9]+(.)?/g, (_, next) => (next || '').toUpperCase()),
+        shortDescription: { text: name },
+        fullDescription: { text: `Potential ${name} committed to source code.` },
+        help: { text: help, markdown: help.split('\n').join('\n\n') },
+        defaultConfiguration: { level: mapping.level },
+        properties: {
+            tags: ['security', 'secret'],
+            precision: 'high',
+            'security-severity': mapping.securitySeverity,
+            severity
+        }
+    };
+}
+
+// Build a SARIF location for a finding. Archive findings point at the archive file; the entry path is a logical location.
+function buildSarifLocations(finding, scanRoot) {
+    if (!finding.file) {
+        return finding.commit
+            ? [{ logicalLocations: [{ name: finding.commit, kind: 'commit' }] }]
+            : [];
+    }
+
+    const filePath = finding.inArchive || finding.file;
+    const location = {
+        physicalLocation: {
+            artifactLocation: { uri: encodeURI(relativeFindingPath({ file: filePath }, scanRoot)), uriBaseId: 'SRCROOT' }
+        }
+    };
+
+    if (finding.line && !finding.inArchive && !finding.cell) {
+        location.physicalLocation.region = { startLine: finding.line };
+        if (finding.column) location.physicalLocation.region.startColumn = finding.column;
+        if (finding.endLine) location.physicalLocation.region.endLine = finding.endLine;
+    } else if (finding.offset !== undefined && !finding.inArchive) {
+        location.physicalLocation.region = { byteOffset: finding.offset };
+    }
+
+    if (finding.inArchive) {
+        location.logicalLocations = [{
+            fullyQualifiedName: [relativeFindingPath({ file: finding.inArchive }, scanRoot), ...(finding.archiveEntries || [])].join('/'),
+            kind: 'archiveEntry'
+        }];
+    }
+    if (finding.cell) {
+        location.logicalLocations = [...(location.logicalLocations || []), {
+            fullyQualifiedName: `${relativeFindingPath(finding, scanRoot)}${describeCell(finding)}`,
+            kind: 'notebookCell'
+        }];
+    }
+    if (finding.document) {
+        location.logicalLocations = [...(location.logicalLocations || []), {
+            fullyQualifiedName: describeDocumentLocation(finding.document),
+            kind: 'documentLocation'
+        }];
+    }
+    if (finding.keyPath) {
+        location.logicalLocations = [...(location.logicalLocations || []), { fullyQualifiedName: finding.keyPath, kind: 'member' }];
+    }
+
+    return [location];
+}
+
+// Build a SARIF 2.1.0 log from working-tree and git history findings
+function buildSarifReport(findings, { scanRoot, historyFindings = [], suppressedFindings = [] }) {
+    const rules = [];
+    const ruleIndexes = new Map();
+
+    const addRule = (name, severity) => {
+        const id = ruleIdFor(name);
+        if (!ruleIndexes.has(id)) {
+            ruleIndexes.set(id, rules.length);
+            rules.push(buildSarifRule(name, severity));
+        }
+        return id;
+    };
+
+    // One rule per built-in detector, then one for every other finding type seen (entropy, base64, TruffleHog...)
+    for (const detector of [...API_KEY_PATTERNS, ...GENERIC_PATTERNS]) {
+        addRule(detector.name, detector.severity);
+    }
+
+    const results = [...findings, ...historyFindings, ...suppressedFindings].map(finding => {
+        const ruleId = addRule(finding.type, finding.severity);
+        const mapping = SARIF_LEVELS[finding.severity] || SARIF_LEVELS.LOW;
+
+        let text = `${finding.type} detected`;
+        if (finding.image) {
+            text += ` in image ${describeImageLocation(finding.image)}`;
+        } else if (finding.archiveEntry) {
+            text += ` in archive entry ${finding.archiveEntry}`;
+        }
+        if (finding.offset !== undefined) text += ` at byte offset ${finding.offset}`;
+        if (finding.cell) text += ` in cell ${finding.cell.index} (${finding.cell.part}) at line ${finding.line}`;
+        if (finding.document) text += ` in ${describeDocumentLocation(finding.document)}`;
+        if (finding.decoding) text += ` after decoding ${finding.decoding.join(' → ')}`;
+        if (finding.key) text += ` (${describeKey(finding.key)})`;
+        if (finding.keyPath) text += ` at ${finding.keyPath}`;
+        if (finding.resource) text += ` in ${finding.resource}`;
+        if (finding.image && finding.image.visible === false) text += ' (deleted or replaced by a later layer)';
+        if (finding.warning) text += `: ${finding.warning}`;
+        if (finding.commit) text += ` in commit ${finding.commit.substring(0, 8)}${finding.stillAtHead ? ' (still present at HEAD)' : ''}`;
+        if (finding.verifiedBy && finding.verifiedBy.length > 0) text += ` (confirmed by ${finding.verifiedBy.join(', ')})`;
+
+        const properties = {
+            severity: finding.severity,
+            source: findingSource(finding)
+        };
+        if (finding.verifiedBy) properties.verifiedBy = finding.verifiedBy;
+        if (finding.decoding) properties.decoding = finding.decoding;
+        if (finding.verified !== undefined) properties.verified = finding.verified;
+        if (finding.commit) {
+            properties.commit = finding.commit;
+            if (finding.author) properties.author = finding.author;
+            if (finding.date) properties.date = finding.date;
+            if (finding.stillAtHead !== undefined) properties.stillAtHead = finding.stillAtHead;
+        }
+        if (finding.inArchive) properties.archiveEntry = finding.archiveEntry;
+        if (finding.image) properties.image = finding.image;
+        if (finding.triage) properties.triage = finding.triage;
+
+        const result = {
+            ruleId,
+            ruleIndex: ruleIndexes.get(ruleId),
+            level: mapping.level,
+            message: { text },
+            locations: buildSarifLocations(finding, scanRoot),
+            partialFingerprints: { 'secretFingerprint/v1': fingerprintFinding(finding, scanRoot) },
+            properties
+        };
+
+        // Suppressed findings stay in the log so they can be audited; viewers hide them by default
+        if (finding.suppression) {
+            result.suppressions = [{
+                kind: finding.suppression.kind === 'inline' ? 'inSource' : 'external',
+                justification: describeSuppression(finding.suppression)
+            }];
+        }
+
+        return result;
+    });
+
+    return {
+        $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+        version: '2.1.0',
+        runs: [{
+            tool: {
+                driver: {
+                    name: 'Source Secure',
+                    semanticVersion: PACKAGE_VERSION,
+                    informationUri: 'https://github.com/brianmcaudill/source-secure',
+                    rules
+                }
+            },
+            originalUriBaseIds: {
+                SRCROOT: { uri: `${pathToFileURL(path.resolve(scanRoot)).href}/` }
+            },
+            results
+        }]
+    };
+}
+
+// Mask a matched secret, keeping just enough of it to recognize
+function maskSecret(match) {
+    const value = (match || '').replace(/\.\.\.$/, '');
+    if (value.length <= 8) return '*'.repeat(value.length);
+    return `${value.substring(0, 4)}${'*'.repeat(Math.min(value.length - 6, 32))}${value.substring(value.length - 2)}`;
+}
+
+// Where a finding came from: our own detectors, an external tool or git history
+function findingSource(finding) {
+    if (finding.commit) return 'history';
+    if (finding.isExternal) return finding.source.toLowerCase();
+    return 'internal';
+}
+
+// Convert a finding to a report record (schemas/report-v1.schema.json#/$defs/finding)
+function toReportFinding(finding, scanRoot) {
+    return {
+        id: fingerprintFinding(finding, scanRoot),
+        ruleId: ruleIdFor(finding.type),
+        rule: finding.type,
+        severity: finding.severity,
+        file: finding.file ? relativeFindingPath({ file: finding.inArchive || finding.file }, scanRoot) : null,
+        line: finding.line || null,
+        column: finding.column || null,
+        offset: finding.offset === undefined ? null : finding.offset,
+        endLine: finding.endLine || null,
+        cell: finding.cell ? { index: finding.cell.index, part: finding.cell.part } : null,
+        document: finding.document
+            ? ['sheet', 'cell', 'page', 'slide', 'part', 'paragraph'].reduce((document, key) => ({ ...document, [key]: finding.document[key] || null }), {})
+            : null,
+        keyPath: finding.keyPath || null,
+        resource: finding.resource || null,
+        match: maskSecret(finding.match),
+        source: findingSource(finding),
+        verified: finding.verified === undefined ? null : finding.verified,
+        verifiedBy: finding.verifiedBy || [],
+        archiveChain: finding.inArchive
+            ? [relativeFindingPath({ file: finding.inArchive }, scanRoot), ...(finding.archiveEntries || [])]
+            : [],
+        decoding: finding.decoding || [],
+        key: finding.key ? { type: finding.key.type, size: finding.key.size, encrypted: finding.key.encrypted } : null,
+        image: finding.image
+            ? { name: finding.image.name, layer: finding.image.layer, path: finding.image.path, visible: finding.image.visible }
+            : null,
+        warning: finding.warning || null,
+        commit: finding.commit
+            ? { sha: finding.commit, author: finding.author || null, date: finding.date || null, stillAtHead: finding.stillAtHead === undefined ? null : finding.stillAtHead }
+            : null,
+        suppression: finding.suppression
+            ? { kind: finding.suppression.kind, reason: finding.suppression.reason, source: finding.suppression.source }
+            : null,
+        triage: finding.triage
+            ? { label: finding.triage.label, confidence: finding.triage.confidence, reason: finding.triage.reason, model: finding.triage.model }
+            : null
+    };
+}
+
+// Run summary shared by the JSON and JSONL reports
+function buildReportSummary(findings, { scanRoot, startTime, suppressedFindings = [] }) {
+    const bySeverity = {};
+    for (const severity of SEVERITIES) {
+        bySeverity[severity] = findings.filter(f => f.severity === severity).length;
     }
 
-    let entropy = 0;
-    const len = str.length;
-    for (const freq of Object.values(frequencies)) {
-        const p = freq / len;
-        entropy -= p * Math.log2(p);
-    }
+    return {
+        root: path.resolve(scanRoot),
+        startedAt: new Date(startTime).toISOString(),
+        durationMs: Date.now() - startTime,
+        filesScanned: SCAN_STATS.filesScanned,
+        filesSkipped: SCAN_STATS.filesSkipped,
+        errors: SCAN_STATS.errors.map(e => ({ file: e.file, message: e.message })),
+        findings: { total: findings.length, bySeverity, suppressed: suppressedFindings.length },
+        toolVersions: {
+            'source-secure': PACKAGE_VERSION,
+            node: process.version,
+            ...EXTERNAL_TOOL_VERSIONS
+        }
+    };
+}
 
-    return entropy;
+// Build the JSON report document
+function buildJsonReport(findings, context) {
+    const allFindings = [...findings, ...(context.historyFindings || [])];
+
+    return {
+        $schema: REPORT_SCHEMA_ID,
+        schemaVersion: REPORT_SCHEMA_VERSION,
+        tool: { name: 'source-secure', version: PACKAGE_VERSION },
+        summary: buildReportSummary(allFindings, context),
+        findings: allFindings.map(finding => toReportFinding(finding, context.scanRoot)),
+        suppressed: (context.suppressedFindings || []).map(finding => toReportFinding(finding, context.scanRoot))
+    };
 }
 
-// Check if a string is likely a secret based on entropy
-function isHighEntropyString(str, minLength = 20, minEntropy = 4.5) {
-    if (str.length < minLength) return false;
+// Read the lines around a finding for the HTML report. Every secret found in the file, and anything
+// a detector matches in the surrounding lines, is masked so the report never shows a secret in full.
+function readCodeContext(finding, fileMatches, radius = 2) {
+    if (!finding.line || finding.inArchive || finding.commit || !finding.file || finding.cell) return [];
 
-    // Skip common false positives
-    const falsePositives = [
-        /^[0-9]+$/, // Pure numbers
-        /^[A-F0-9]+$/i, // Hex strings (often hashes)
-        /\.(jpg|jpeg|png|gif|svg|ico|woff|ttf|eot)$/i, // File extensions
-        /^(true|false|null|undefined)$/i, // Keywords
-        /^https?:\/\//i, // URLs
-        /^[a-z]+(-[a-z]+)*$/i, // Kebab-case identifiers
-    ];
+    let lines;
+    try {
+        lines = fs.readFileSync(finding.file, 'utf8').split('\n');
+    } catch (error) {
+        return [];
+    }
 
-    for (const pattern of falsePositives) {
-        if (pattern.test(str)) return false;
+    const secretPatterns = fileMatches
+        .map(match => match.replace(/\.\.\.$/, ''))
+        .filter(prefix => prefix.length >= 4)
+        .map(prefix => new RegExp(`${prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}[^\\s'"\`,;)]*`, 'g'));
+    for (const detector of API_KEY_PATTERNS) {
+        secretPatterns.push(new RegExp(detector.pattern.source, detector.pattern.flags));
     }
 
-    const entropy = calculateEntropy(str);
-    return entropy >= minEntropy;
+    const first = Math.max(1, finding.line - radius);
+    const last = Math.min(lines.length, finding.line + radius);
+    const context = [];
+
+    for (let number = first; number <= last; number++) {
+        let text = lines[number - 1].replace(/\r$/, '');
+        for (const pattern of secretPatterns) {
+            text = text.replace(pattern, maskSecret);
+        }
+        // Lines of a key or certificate body
+        text = text.replace(/^(\s*)([A-Za-z0-9+/]{40,}={0,2})(\s*)$/, (_, indent, body, trailing) => indent + maskSecret(body) + trailing);
+        context.push({ line: number, text: text.length > 300 ? text.substring(0, 300) + '...' : text, highlight: number === finding.line });
+    }
+
+    return context;
 }
 
-// Detect Base64 encoded secrets
-function detectBase64Secrets(content) {
-    const base64Pattern = /[A-Za-z0-9+/]{40,}={0,2}/g;
-    const findings = [];
-    const matches = content.matchAll(base64Pattern);
+// Build a standalone HTML report. All styles, scripts and data are inline so the file can be shared as-is.
+function buildHtmlReport(findings, context) {
+    const report = buildJsonReport(findings, context);
+    const allFindings = [...findings, ...(context.historyFindings || [])];
+    const suppressedFindings = context.suppressedFindings || [];
+
+    const matchesByFile = new Map();
+    for (const finding of [...allFindings, ...suppressedFindings]) {
+        if (!finding.file || !finding.match) continue;
+        if (!matchesByFile.has(finding.file)) matchesByFile.set(finding.file, []);
+        matchesByFile.get(finding.file).push(finding.match);
+    }
 
-    for (const match of matches) {
-        try {
-            const decoded = Buffer.from(match[0], 'base64').toString('utf8');
+    report.findings = report.findings.map((record, index) => ({
+        ...record,
+        remediation: plainRemediation(allFindings[index]),
+        context: readCodeContext(allFindings[index], matchesByFile.get(allFindings[index].file) || [])
+    }));
+    report.suppressed = report.suppressed.map((record, index) => ({
+        ...record,
+        remediation: plainRemediation(suppressedFindings[index]),
+        context: readCodeContext(suppressedFindings[index], matchesByFile.get(suppressedFindings[index].file) || []),
+        suppressionText: describeSuppression(suppressedFindings[index].suppression)
+    }));
+
+    // Escape "<" so finding data can never close the script element
+    const data = JSON.stringify(report).replace(/</g, '\\u003c');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Source Secure Report</title>
+<style>
+    body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; margin: 0; background: #f5f6f8; color: #1f2328; }
+    header { background: #1f2937; color: #fff; padding: 20px 32px; }
+    header h1 { margin: 0 0 6px; font-size: 22px; }
+    header .meta { font-size: 13px; color: #cbd5e1; }
+    .totals { display: flex; gap: 12px; margin-top: 14px; flex-wrap: wrap; }
+    .total { background: #374151; border-radius: 6px; padding: 6px 12px; font-size: 13px; }
+    .controls { display: flex; gap: 16px; flex-wrap: wrap; align-items: center; padding: 14px 32px; background: #fff; border-bottom: 1px solid #d0d7de; position: sticky; top: 0; }
+    .controls input[type=search] { padding: 6px 10px; width: 280px; border: 1px solid #d0d7de; border-radius: 6px; }
+    .controls select { padding: 5px; border: 1px solid #d0d7de; border-radius: 6px; }
+    .controls label { font-size: 13px; }
+    main { padding: 16px 32px 48px; }
+    .group { margin-bottom: 20px; }
+    .group > h2 { font-size: 16px; margin: 0 0 8px; cursor: pointer; }
+    .group > h2 .count { color: #57606a; font-weight: normal; }
+    .group.collapsed .finding { display: none; }
+    .finding { background: #fff; border: 1px solid #d0d7de; border-left-width: 4px; border-radius: 6px; padding: 12px 16px; margin-bottom: 10px; }
+    .finding.CRITICAL { border-left-color: #a40e26; }
+    .finding.HIGH { border-left-color: #d1242f; }
+    .finding.MEDIUM { border-left-color: #bf8700; }
+    .finding.LOW { border-left-color: #0969da; }
+    .finding .title { display: flex; gap: 8px; align-items: center; flex-wrap: wrap; font-weight: 600; }
+    .finding .location { font-family: ui-monospace, SFMono-Regular, Menlo, monospace; font-size: 12px; color: #57606a; margin-top: 4px; word-break: break-all; }
+    .badge { display: inline-block; font-size: 11px; font-weight: 600; padding: 2px 8px; border-radius: 10px; color: #fff; }
+    .badge.CRITICAL { background: #a40e26; }
+    .badge.HIGH { background: #d1242f; }
+    .badge.MEDIUM { background: #bf8700; }
+    .badge.LOW { background: #0969da; }
+    .badge.verified { background: #1a7f37; }
+    .badge.unverified { background: #6e7781; }
+    .badge.source { background: #8250df; }
+    .badge.suppressed { background: #57606a; }
+    .finding.is-suppressed { opacity: 0.7; border-style: dashed; }
+    .suppression { font-size: 13px; margin-top: 6px; color: #57606a; font-style: italic; }
+    .match { font-family: ui-monospace, SFMono-Regular, Menlo, monospace; font-size: 13px; background: #f6f8fa; padding: 2px 6px; border-radius: 4px; }
+    pre.code { background: #f6f8fa; border-radius: 6px; padding: 8px 0; margin: 10px 0 0; overflow-x: auto; font-size: 12px; }
+    pre.code span { display: block; padding: 0 12px; white-space: pre; }
+    pre.code span.hl { background: #fff8c5; }
+    pre.code .ln { color: #8c959f; display: inline-block; width: 4em; user-select: none; }
+    .remediation { white-space: pre-line; font-size: 13px; margin-top: 10px; color: #424a53; }
+    .empty { color: #57606a; font-style: italic; }
+</style>
+</head>
+<body>
+<header>
+    <h1>🛡️ Source Secure Report</h1>
+    <div class="meta" id="meta"></div>
+    <div class="totals" id="totals"></div>
+</header>
+<div class="controls">
+    <input type="search" id="search" placeholder="Search rule, file or match...">
+    <label>Group by
+        <select id="groupBy">
+            <option value="severity">Severity</option>
+            <option value="file">File</option>
+            <option value="rule">Detector</option>
+        </select>
+    </label>
+    <span id="severityFilters"></span>
+    <label>Source
+        <select id="sourceFilter"><option value="">All</option></select>
+    </label>
+    <label><input type="checkbox" id="verifiedOnly"> Verified only</label>
+    <label><input type="checkbox" id="showSuppressed"> Show suppressed</label>
+</div>
+<main id="results"></main>
+<script type="application/json" id="report-data">${data}</script>
+<script>
+(function () {
+    var report = JSON.parse(document.getElementById('report-data').textContent);
+    var severities = ['CRITICAL', 'HIGH', 'MEDIUM', 'LOW'];
+    var state = { search: '', groupBy: 'severity', severities: {}, source: '', verifiedOnly: false, showSuppressed: false };
+
+    function el(tag, className, text) {
+        var node = document.createElement(tag);
+        if (className) node.className = className;
+        if (text !== undefined && text !== null) node.textContent = text;
+        return node;
+    }
 
-            // Check if decoded content contains secrets
-            for (const detector of API_KEY_PATTERNS) {
-                if (detector.pattern.test(decoded)) {
-                    findings.push({
-                        type: `Base64 Encoded ${detector.name}`,
-                        match: match[0].substring(0, 50) + '...',
-                        decoded: decoded.substring(0, 50) + '...',
-                        severity: detector.severity
-                    });
-                }
-            }
-        } catch (e) {
-            // Not valid base64, skip
+    function location(f) {
+        var text = f.file || '(no file)';
+        if (f.archiveChain.length > 1) text = f.archiveChain.join(' → ');
+        if (f.image) {
+            text = f.archiveChain[0] + ' → ' + f.image.name + (f.image.layer ? ' → layer ' + f.image.layer.substring(0, 19) + ' → ' + f.image.path : ' → config');
         }
+        if (f.cell) text += '#cell-' + f.cell.index + ' (' + f.cell.part + ')';
+        if (f.document) {
+            var d = f.document;
+            text += ' (' + [d.sheet !== null ? 'sheet ' + d.sheet : '', d.cell ? 'cell ' + d.cell : '', d.page ? 'page ' + d.page : '',
+                d.slide ? 'slide ' + d.slide : '', d.part || '', d.paragraph ? 'paragraph ' + d.paragraph : ''].filter(Boolean).join(', ') + ')';
+        }
+        if (f.line) text += ':' + f.line + (f.column ? ':' + f.column : '') + (f.endLine && f.endLine !== f.line ? '-' + f.endLine : '');
+        if (f.offset !== null) text += ' at byte ' + f.offset;
+        if (f.keyPath) text += ' (' + f.keyPath + ')';
+        if (f.resource) text += ' in ' + f.resource;
+        if (f.image && f.image.visible === false) text += ' (deleted in a later layer)';
+        if (f.commit) text += ' @ ' + f.commit.sha;
+        return text;
     }
 
-    return findings;
-}
+    function isVerified(f) {
+        return f.verified === true || f.verifiedBy.length > 0;
+    }
 
-// Detect multi-line secrets (like private keys)
-function detectMultiLineSecrets(content) {
-    const multiLinePatterns = [
-        {
-            name: 'Private Key Block',
-            start: /-----BEGIN\s+[A-Z\s]+PRIVATE KEY[A-Z\s]*-----/,
-            end: /-----END\s+[A-Z\s]+PRIVATE KEY[A-Z\s]*-----/,
-            severity: 'CRITICAL'
-        },
-        {
-            name: 'Certificate Block',
-            start: /-----BEGIN\s+CERTIFICATE-----/,
-            end: /-----END\s+CERTIFICATE-----/,
-            severity: 'LOW'
-        },
-        {
-            name: 'Google Service Account JSON',
-            pattern: /\{\s*"type"\s*:\s*"service_account"[\s\S]*?"private_key"\s*:\s*"[^"]+"\s*\}/,
-            severity: 'CRITICAL'
+    function matches(f) {
+        if (!state.severities[f.severity]) return false;
+        if (state.source && f.source !== state.source) return false;
+        if (state.verifiedOnly && !isVerified(f)) return false;
+        if (!state.search) return true;
+        var haystack = [f.rule, f.ruleId, f.file, f.match, f.archiveChain.join(' '), f.commit ? f.commit.sha : ''].join(' ').toLowerCase();
+        return haystack.indexOf(state.search) !== -1;
+    }
+
+    function renderFinding(f) {
+        var card = el('div', 'finding ' + f.severity + (f.suppression ? ' is-suppressed' : ''));
+        var title = el('div', 'title');
+        title.appendChild(el('span', 'badge ' + f.severity, f.severity));
+        title.appendChild(el('span', null, f.rule));
+        if (f.suppression) title.appendChild(el('span', 'badge suppressed', 'Suppressed'));
+        if (f.source !== 'internal') title.appendChild(el('span', 'badge source', 'Found by ' + f.source));
+        if (f.verified === true) title.appendChild(el('span', 'badge verified', '✔ Verified live by TruffleHog'));
+        else if (f.verified === false) title.appendChild(el('span', 'badge unverified', 'Not verified'));
+        f.verifiedBy.forEach(function (tool) {
+            title.appendChild(el('span', 'badge verified', '✔ Confirmed by ' + tool));
+        });
+        card.appendChild(title);
+        card.appendChild(el('div', 'location', location(f)));
+        if (f.decoding.length > 0) card.appendChild(el('div', 'location', 'Decoded: ' + f.decoding.join(' → ')));
+        if (f.warning) card.appendChild(el('div', 'location', 'Not extracted: ' + f.warning));
+        if (f.key) card.appendChild(el('div', 'location', 'Key: ' + [f.key.type || 'Private key', f.key.size].filter(Boolean).join(' ') + (f.key.encrypted ? ', passphrase-protected' : '')));
+        if (f.suppression) card.appendChild(el('div', 'suppression', f.suppressionText));
+        else if (f.triage) card.appendChild(el('div', 'location', 'AI triage: ' + f.triage.label.replace('_', ' ') + ' (confidence ' + f.triage.confidence + '): ' + f.triage.reason));
+
+        var match = el('div');
+        match.appendChild(document.createTextNode('Match: '));
+        match.appendChild(el('span', 'match', f.match));
+        card.appendChild(match);
+
+        if (f.context.length > 0) {
+            var pre = el('pre', 'code');
+            f.context.forEach(function (line) {
+                var row = el('span', line.highlight ? 'hl' : null);
+                row.appendChild(el('span', 'ln', line.line));
+                row.appendChild(document.createTextNode(line.text));
+                pre.appendChild(row);
+            });
+            card.appendChild(pre);
         }
-    ];
 
-    const findings = [];
+        card.appendChild(el('div', 'remediation', f.remediation));
+        return card;
+    }
 
-    for (const detector of multiLinePatterns) {
-        if (detector.pattern) {
-            const matches = content.matchAll(new RegExp(detector.pattern, 'g'));
-            for (const match of matches) {
-                findings.push({
-                    type: detector.name,
-                    match: match[0].substring(0, 100) + '...',
-                    severity: detector.severity
-                });
-            }
-        } else if (detector.start && detector.end) {
-            const startMatches = [...content.matchAll(new RegExp(detector.start, 'g'))];
-            const endMatches = [...content.matchAll(new RegExp(detector.end, 'g'))];
+    function groupKey(f) {
+        if (state.groupBy === 'file') return f.archiveChain.length > 0 ? f.archiveChain.join(' → ') : (f.file || '(git history)');
+        if (state.groupBy === 'rule') return f.rule;
+        return f.severity;
+    }
 
-            if (startMatches.length > 0 && endMatches.length > 0) {
-                findings.push({
-                    type: detector.name,
-                    match: 'Multi-line secret detected',
-                    severity: detector.severity
-                });
+    function render() {
+        var results = document.getElementById('results');
+        results.textContent = '';
+
+        var groups = {};
+        var order = [];
+        report.findings.concat(state.showSuppressed ? report.suppressed : []).filter(matches).forEach(function (f) {
+            var key = groupKey(f);
+            if (!groups[key]) {
+                groups[key] = [];
+                order.push(key);
             }
+            groups[key].push(f);
+        });
+
+        if (state.groupBy === 'severity') {
+            order.sort(function (a, b) { return severities.indexOf(a) - severities.indexOf(b); });
+        } else {
+            order.sort();
         }
+
+        if (order.length === 0) {
+            results.appendChild(el('p', 'empty', 'No findings match the current filters.'));
+            return;
+        }
+
+        order.forEach(function (key) {
+            var group = el('section', 'group');
+            var heading = el('h2', null, key + ' ');
+            heading.appendChild(el('span', 'count', '(' + groups[key].length + ')'));
+            heading.addEventListener('click', function () { group.classList.toggle('collapsed'); });
+            group.appendChild(heading);
+            groups[key].forEach(function (f) { group.appendChild(renderFinding(f)); });
+            results.appendChild(group);
+        });
     }
 
-    return findings;
+    var summary = report.summary;
+    document.getElementById('meta').textContent = summary.root + ' • ' + new Date(summary.startedAt).toLocaleString() +
+        ' • ' + summary.filesScanned + ' files scanned, ' + summary.filesSkipped + ' skipped, ' + summary.errors.length + ' errors • ' +
+        (summary.durationMs / 1000).toFixed(2) + 's • Source Secure ' + report.tool.version;
+
+    var totals = document.getElementById('totals');
+    totals.appendChild(el('span', 'total', summary.findings.total + ' finding(s)'));
+    totals.appendChild(el('span', 'total', summary.findings.suppressed + ' suppressed'));
+    var severityFilters = document.getElementById('severityFilters');
+    severities.forEach(function (severity) {
+        totals.appendChild(el('span', 'total', severity + ': ' + summary.findings.bySeverity[severity]));
+        state.severities[severity] = true;
+        var label = el('label');
+        var box = el('input');
+        box.type = 'checkbox';
+        box.checked = true;
+        box.addEventListener('change', function () { state.severities[severity] = box.checked; render(); });
+        label.appendChild(box);
+        label.appendChild(document.createTextNode(' ' + severity + ' '));
+        severityFilters.appendChild(label);
+    });
+
+    var sourceFilter = document.getElementById('sourceFilter');
+    report.findings.concat(report.suppressed).map(function (f) { return f.source; })
+        .filter(function (source, index, all) { return all.indexOf(source) === index; })
+        .forEach(function (source) { sourceFilter.appendChild(el('option', null, source)); });
+
+    document.getElementById('search').addEventListener('input', function (event) { state.search = event.target.value.toLowerCase(); render(); });
+    document.getElementById('groupBy').addEventListener('change', function (event) { state.groupBy = event.target.value; render(); });
+    sourceFilter.addEventListener('change', function (event) { state.source = event.target.value; render(); });
+    document.getElementById('verifiedOnly').addEventListener('change', function (event) { state.verifiedOnly = event.target.checked; render(); });
+    document.getElementById('showSuppressed').addEventListener('change', function (event) { state.showSuppressed = event.target.checked; render(); });
+
+    render();
+})();
+</script>
+</body>
+</html>
+`;
 }
 
-// Scan git history for secrets
-async function scanGitHistory(depth = 100) {
-    console.log(`\n📜 Scanning last ${depth} commits for secrets...`);
+// Write a machine-readable report to a file, or to stdout when no --output is given
+function writeReport(format, findings, context, outputPath) {
+    const fd = outputPath ? fs.openSync(outputPath, 'w') : 1;
 
     try {
-        const { stdout } = await execPromise(`git log --pretty=format:"%H" -n ${depth}`);
-        const commits = stdout.trim().split('\n');
-        const findings = [];
-
-        for (const commit of commits) {
-            try {
-                const { stdout: diff } = await execPromise(`git show ${commit} --format="" --text`);
-
-                for (const detector of API_KEY_PATTERNS) {
-                    const matches = diff.matchAll(detector.pattern);
-                    for (const match of matches) {
-                        findings.push({
-                            commit: commit.substring(0, 8),
-                            type: detector.name,
-                            severity: detector.severity,
-                            match: match[0].substring(0, 50) + '...'
-                        });
-                    }
-                }
-            } catch (e) {
-                // Skip commits that can't be read
+        if (format === 'sarif') {
+            fs.writeSync(fd, JSON.stringify(buildSarifReport(findings, context), null, 2) + '\n');
+        } else if (format === 'json') {
+            fs.writeSync(fd, JSON.stringify(buildJsonReport(findings, context), null, 2) + '\n');
+        } else if (format === 'html') {
+            fs.writeSync(fd, buildHtmlReport(findings, context));
+        } else if (format === 'jsonl') {
+            // One self-contained record per line, written as it is produced, followed by the run summary
+            const allFindings = [...findings, ...(context.historyFindings || [])];
+            for (const finding of allFindings) {
+                const record = { type: 'finding', schemaVersion: REPORT_SCHEMA_VERSION, ...toReportFinding(finding, context.scanRoot) };
+                fs.writeSync(fd, JSON.stringify(record) + '\n');
             }
+            for (const finding of context.suppressedFindings || []) {
+                const record = { type: 'suppressed', schemaVersion: REPORT_SCHEMA_VERSION, ...toReportFinding(finding, context.scanRoot) };
+                fs.writeSync(fd, JSON.stringify(record) + '\n');
+            }
+            const summary = { type: 'summary', schemaVersion: REPORT_SCHEMA_VERSION, ...buildReportSummary(allFindings, context) };
+            fs.writeSync(fd, JSON.stringify(summary) + '\n');
         }
+    } finally {
+        if (outputPath) fs.closeSync(fd);
+    }
 
-        return findings;
-    } catch (error) {
-        console.log('⚠️  Unable to scan git history (not a git repository or no commits)');
-        return [];
+    if (outputPath) {
+        console.log(`\n📝 ${format.toUpperCase()} report written to ${outputPath}`);
     }
 }
 
-// Check with Ollama for advanced detection (if available)
-async function checkWithOllama(content, filePath) {
-    try {
-        // Check if Ollama is installed and running
-        const { stdout } = await execPromise('ollama list', { timeout: 2000 });
+// Default number of scan workers: one per CPU
+const DEFAULT_JOBS = Math.max(1, typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length);
+
+// Scan one task from the directory walker ({ kind: 'file' | 'archive', filePath }) in the current thread, returning
+// its findings together with the counters it added to SCAN_STATS
+async function runScanTask(task, useAI = false) {
+    const before = { filesScanned: SCAN_STATS.filesScanned, filesSkipped: SCAN_STATS.filesSkipped, errors: SCAN_STATS.errors.length };
+    const findings = task.kind === 'archive' ? await scanArchive(task.filePath, useAI) : await scanFile(task.filePath, useAI);
+
+    return {
+        findings,
+        stats: {
+            filesScanned: SCAN_STATS.filesScanned - before.filesScanned,
+            filesSkipped: SCAN_STATS.filesSkipped - before.filesSkipped,
+            errors: SCAN_STATS.errors.slice(before.errors)
+        }
+    };
+}
 
-        // Use a small, fast model for detection
-        const prompt = `Analyze this code snippet for potential security issues. Only respond with JSON format: {"hasSecrets": true/false, "findings": ["list of found secrets"]}
+// Worker thread entry point: apply the parent's configuration, then scan tasks one at a time and send back the
+// results of each
+function runScanWorker() {
+    if (workerData.logToStderr) console.log = console.error;
+    applyConfig(workerData.config);
 
-Code:
-${content.substring(0, 1000)}`;
+    parentPort.on('message', async (task) => {
+        parentPort.postMessage(await runScanTask(task, workerData.useAI));
+    });
+}
 
-        const { stdout: response } = await execPromise(
-            `echo '${prompt.replace(/'/g, "\\'")}' | ollama run llama2:7b`,
-            { timeout: 10000 }
-        );
+// Pool of scan workers that each work on one task at a time. Callers wait for ready() before each run(), so
+// the directory walker never gets more than `jobs` files ahead of the workers. Counters reported by the workers
+// are added to SCAN_STATS, so run() resolves to the same result as runScanTask().
+function createScanPool(jobs, { config, useAI = false, logToStderr = false }) {
+    const idle = [];
+    const waiting = [];
+    const slots = new Set();
+    let closing = false;
+
+    const release = (slot) => {
+        idle.push(slot);
+        if (waiting.length > 0) waiting.shift()();
+    };
 
-        try {
-            const result = JSON.parse(response);
-            if (result.hasSecrets && result.findings) {
-                return result.findings.map(f => ({
-                    type: 'AI-Detected Secret',
-                    match: f,
-                    severity: 'MEDIUM'
-                }));
+    const startWorker = () => {
+        const slot = {
+            worker: new Worker(__filename, { workerData: { scanWorker: true, config, useAI, logToStderr } }),
+            task: null
+        };
+
+        slot.worker.on('message', (result) => {
+            const { task } = slot;
+            slot.task = null;
+            SCAN_STATS.filesScanned += result.stats.filesScanned;
+            SCAN_STATS.filesSkipped += result.stats.filesSkipped;
+            SCAN_STATS.errors.push(...result.stats.errors);
+            release(slot);
+            task.resolve(result);
+        });
+
+        // A crashed worker only loses the file it was scanning; a new worker takes its place. Workers that die
+        // without an 'error' event (process.exit, killed for running out of memory) are handled on 'exit'.
+        const retire = (message) => {
+            if (!slots.delete(slot) || closing) return;
+            if (idle.includes(slot)) idle.splice(idle.indexOf(slot), 1);
+
+            const { task } = slot;
+            slot.task = null;
+            if (task) {
+                const failure = { file: task.filePath, message };
+                SCAN_STATS.errors.push(failure);
+                task.resolve({ findings: [], stats: { filesScanned: 0, filesSkipped: 0, errors: [failure] } });
             }
-        } catch (e) {
-            // Failed to parse JSON response
-        }
-    } catch (error) {
-        // Ollama not available, skip
-    }
+            release(startWorker());
+        };
+        slot.worker.on('error', error => retire(error.message));
+        slot.worker.on('exit', code => retire(`scan worker exited with code ${code}`));
 
-    return [];
-}
+        slots.add(slot);
+        return slot;
+    };
 
-// Main scanning function
-async function scanFile(filePath, useAI = false) {
-    try {
-        const content = fs.readFileSync(filePath, 'utf8');
-        const findings = [];
+    for (let i = 0; i < jobs; i++) idle.push(startWorker());
 
-        // Standard pattern matching
-        for (const detector of API_KEY_PATTERNS) {
-            const matches = content.matchAll(detector.pattern);
+    return {
+        ready() {
+            return idle.length > 0 ? Promise.resolve() : new Promise(resolve => waiting.push(resolve));
+        },
+        run(task) {
+            const slot = idle.shift();
+            return new Promise((resolve) => {
+                slot.task = { ...task, resolve };
+                slot.worker.postMessage(task);
+            });
+        },
+        close() {
+            closing = true;
+            return Promise.all([...slots].map(slot => slot.worker.terminate()));
+        }
+    };
+}
 
-            for (const match of matches) {
-                // Context validation if required
-                if (detector.context) {
-                    const contextStart = Math.max(0, match.index - 50);
-                    const contextEnd = Math.min(content.length, match.index + match[0].length + 50);
-                    const context = content.substring(contextStart, contextEnd);
+// Bump when the layout of the scan cache file changes
+const SCAN_CACHE_VERSION = 3;
 
-                    if (!detector.context.test(context)) {
-                        continue;
-                    }
-                }
+// Per-user cache directory ($XDG_CACHE_HOME/source-secure, or ~/.cache/source-secure)
+function scanCacheDirectory() {
+    return path.join(process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache'), 'source-secure');
+}
 
-                // Get line number
-                const lines = content.substring(0, match.index).split('\n');
-                const lineNumber = lines.length;
+// Load the scan cache for a scan root. Files are looked up by size and modification time first, so unchanged
+// files aren't read at all, and results are stored by content hash, so a file that was moved, or reverted to
+// earlier contents, is still found. The file name is part of the result key too, since it decides how the
+// contents are scanned (a notebook and a plain .json file can hold the same bytes). The cache is empty when it
+// was written for a different detector set.
+function loadScanCache(scanRoot) {
+    const root = path.resolve(scanRoot);
+    const cache = {
+        path: path.join(scanCacheDirectory(), `scan-${crypto.createHash('sha256').update(root).digest('hex').substring(0, 16)}.json`),
+        version: SCAN_CACHE_VERSION,
+        detectorVersion: detectorSetVersion(),
+        root,
+        files: {},     // "<path relative to root>" -> { size, mtimeMs, hash }
+        results: {}    // "<task kind>\0<file name>\0<content hash>" -> { findings, stats } with finding paths relative to the scanned file
+    };
 
-                findings.push({
-                    type: detector.name,
-                    file: filePath,
-                    line: lineNumber,
-                    match: match[0].substring(0, 50) + (match[0].length > 50 ? '...' : ''),
-                    severity: detector.severity
-                });
-            }
+    try {
+        const stored = JSON.parse(fs.readFileSync(cache.path, 'utf8'));
+        if (stored.version === cache.version && stored.detectorVersion === cache.detectorVersion && stored.root === root) {
+            Object.assign(cache, { files: stored.files, results: stored.results });
         }
+    } catch (error) {
+        // No cache yet, or unreadable; start over
+    }
 
-        // Entropy-based detection
-        const words = content.match(/[a-zA-Z0-9_-]{20,128}/g) || [];
-        for (const word of words) {
-            if (isHighEntropyString(word)) {
-                findings.push({
-                    type: 'High Entropy String',
-                    file: filePath,
-                    match: word.substring(0, 50) + '...',
-                    severity: 'LOW'
-                });
-            }
-        }
+    // Only entries used by this run are saved, so files that were deleted drop out of the cache
+    cache.used = { files: {}, results: {} };
+    return cache;
+}
+
+// Form of a finding kept in a cache file: the match is masked as in reports and the triage context is dropped, so
+// no secret is written to disk. secretHash still identifies the secret, and matchHash and matchLength let
+// restoreMatches read the match back from an unchanged file.
+function toCachedFinding({ aiContext, ...finding }) {
+    const match = finding.match || '';
+    return {
+        ...finding,
+        match: maskSecret(match) + (match.endsWith('...') ? '...' : ''),
+        matchHash: hashSecret(match),
+        matchLength: match.replace(/\.\.\.$/, '').length,
+        secretHash: finding.secretHash || hashSecret(match)
+    };
+}
+
+// Put back the matches of cached findings for a file whose contents haven't changed, where the text at the
+// finding's line and column has the stored hash. Other matches stay masked (in notebook cells, lines are
+// counted within the cell; encoded secrets are decoded values that aren't in the file).
+function restoreMatches(findings, filePath) {
+    let lines = [];
+    try {
+        lines = fs.readFileSync(filePath, 'utf8').split('\n');
+    } catch (error) {
+        // Unreadable since it was looked up; the matches stay masked
+    }
 
-        // Base64 detection
-        const base64Findings = detectBase64Secrets(content);
-        findings.push(...base64Findings.map(f => ({ ...f, file: filePath })));
+    return findings.map(({ matchHash, matchLength, ...finding }) => {
+        const text = finding.line && finding.column ? lines[finding.line - 1] : undefined;
+        if (text === undefined) return finding;
 
-        // Multi-line detection
-        const multiLineFindings = detectMultiLineSecrets(content);
-        findings.push(...multiLineFindings.map(f => ({ ...f, file: filePath })));
+        const match = text.substr(finding.column - 1, matchLength) + (finding.match.endsWith('...') ? '...' : '');
+        return hashSecret(match) === matchHash ? { ...finding, match } : finding;
+    });
+}
 
-        // AI detection (if enabled and available)
-        if (useAI) {
-            const aiFindings = await checkWithOllama(content, filePath);
-            findings.push(...aiFindings.map(f => ({ ...f, file: filePath })));
-        }
+// Hash a file's contents without holding it in memory (archives can be large)
+function hashFileContents(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')))
+            .on('error', reject);
+    });
+}
 
-        return findings;
+// Return the cached result for a walker task, or null when it has to be scanned. Sets task.resultKey for storeScanResult.
+async function lookupScanResult(cache, task) {
+    const key = path.relative(cache.root, task.filePath).split(path.sep).join('/');
+
+    try {
+        const stats = fs.statSync(task.filePath);
+        const known = cache.files[key];
+        task.hash = known && known.size === stats.size && known.mtimeMs === stats.mtimeMs
+            ? known.hash
+            : await hashFileContents(task.filePath);
+        cache.used.files[key] = { size: stats.size, mtimeMs: stats.mtimeMs, hash: task.hash };
     } catch (error) {
-        return [];
+        // Unreadable; let the scan report the error
+        return null;
     }
-}
 
-// Get remediation suggestions
-function getRemediation(finding) {
-    const remediations = {
-        'CRITICAL': '🚨 IMMEDIATE ACTION REQUIRED: Revoke this credential immediately and rotate to a new one.',
-        'HIGH': '⚠️  HIGH RISK: This credential should be removed and stored in environment variables.',
-        'MEDIUM': '⚡ MEDIUM RISK: Consider moving to secure storage or using a secrets manager.',
-        'LOW': 'ℹ️  LOW RISK: Review if this needs to be in the codebase.'
+    task.resultKey = `${task.kind}\0${path.basename(task.filePath)}\0${task.hash}`;
+    const cached = cache.results[task.resultKey];
+    if (!cached) return null;
+
+    cache.used.results[task.resultKey] = cached;
+    const findings = cached.findings.map(finding => ({
+        ...finding,
+        file: task.filePath + finding.file,
+        ...(finding.inArchive ? { inArchive: task.filePath } : {})
+    }));
+    return {
+        findings: task.kind === 'file'
+            ? restoreMatches(findings, task.filePath)
+            : findings.map(({ matchHash, matchLength, ...finding }) => finding),
+        stats: { ...cached.stats, errors: [] }
     };
+}
 
-    const specificRemediations = {
-        'AWS': 'Use AWS Secrets Manager or IAM roles instead of hardcoded credentials.',
-        'Google': 'Use Google Secret Manager or service account key files outside the repo.',
-        'GitHub': 'Revoke token at https://github.com/settings/tokens and use GitHub Secrets for Actions.',
-        'Database': 'Use connection strings from environment variables or config files outside the repo.',
-        'API Key': 'Store in .env file (git-ignored) or use a secrets management service.',
-        'Private Key': 'NEVER commit private keys. Store securely and reference via environment variables.',
-        'JWT': 'JWTs may contain sensitive data. Ensure they are not hardcoded and rotate regularly.'
+// Remember the result of a scanned task. Results with read or extraction errors are not cached, so they are retried.
+function storeScanResult(cache, task, { findings, stats }) {
+    if (!task.resultKey || stats.errors.length > 0) return;
+
+    cache.used.results[task.resultKey] = {
+        findings: findings.map(finding => ({
+            ...toCachedFinding(finding),
+            file: finding.file.substring(task.filePath.length),
+            ...(finding.inArchive ? { inArchive: true } : {})
+        })),
+        stats: { filesScanned: stats.filesScanned, filesSkipped: stats.filesSkipped }
     };
+}
 
-    let remediation = remediations[finding.severity] || remediations['LOW'];
+// Write the entries used by this run, replacing the previous cache file atomically
+function saveScanCache(cache) {
+    const { path: cachePath, used, ...stored } = cache;
 
-    for (const [key, value] of Object.entries(specificRemediations)) {
-        if (finding.type.includes(key)) {
-            remediation += `\n   💡 ${value}`;
-            break;
-        }
+    try {
+        fs.mkdirSync(path.dirname(cachePath), { recursive: true, mode: 0o700 });
+        fs.writeFileSync(`${cachePath}.tmp`, JSON.stringify({ ...stored, files: used.files, results: used.results }), { mode: 0o600 });
+        fs.chmodSync(`${cachePath}.tmp`, 0o600);
+        fs.renameSync(`${cachePath}.tmp`, cachePath);
+    } catch (error) {
+        console.log(`⚠️  Unable to write scan cache ${cachePath}: ${error.message}`);
     }
+}
 
-    return remediation;
+// `cache clear`: remove the per-user scan cache and the history cache of the repository at scanRoot
+async function clearCaches(scanRoot) {
+    const directories = [scanCacheDirectory()];
+    try {
+        directories.push(await historyCacheDirectory(scanRoot));
+    } catch (error) {
+        // Not a git repository, so there is no history cache
+    }
+
+    for (const directory of directories) {
+        if (fs.existsSync(directory)) {
+            fs.rmSync(directory, { recursive: true, force: true });
+            console.log(`🧹 Removed ${directory}`);
+        }
+    }
 }
 
 // Main function
@@ -917,10 +5198,41 @@ async function main() {
         path: '.',
         history: false,
         ai: false,
-        verbose: false
+        verbose: false,
+        config: null,
+        baseline: null,
+        output: null,
+        format: 'text',
+        staged: false,
+        range: null,
+        since: null,
+        depth: 0,
+        jobs: DEFAULT_JOBS,
+        cache: true,
+        stripNotebookOutputs: false,
+        command: null
     };
 
-    for (const arg of args) {
+    // Subcommands come before the scan path: `baseline create [path]`, `cache clear [path]`
+    let firstArg = 0;
+    if (args[0] === 'baseline') {
+        if (args[1] !== 'create') {
+            console.error(`❌ Unknown baseline command: ${args[1] || '(none)'}. Usage: source-secure baseline create [path] [--output file]`);
+            process.exit(2);
+        }
+        flags.command = 'baseline-create';
+        firstArg = 2;
+    } else if (args[0] === 'cache') {
+        if (args[1] !== 'clear') {
+            console.error(`❌ Unknown cache command: ${args[1] || '(none)'}. Usage: source-secure cache clear [path]`);
+            process.exit(2);
+        }
+        flags.command = 'cache-clear';
+        firstArg = 2;
+    }
+
+    for (let i = firstArg; i < args.length; i++) {
+        const arg = args[i];
         if (arg.startsWith('--')) {
             switch(arg) {
                 case '--history':
@@ -932,12 +5244,100 @@ async function main() {
                 case '--verbose':
                     flags.verbose = true;
                     break;
+                case '--staged':
+                    flags.staged = true;
+                    break;
+                case '--range':
+                    flags.range = args[++i];
+                    break;
+                case '--since':
+                    flags.since = args[++i];
+                    break;
+                case '--depth':
+                    flags.depth = parseInt(args[++i], 10);
+                    break;
+                case '--jobs':
+                    flags.jobs = parseInt(args[++i], 10);
+                    break;
+                case '--no-cache':
+                    flags.cache = false;
+                    break;
+                case '--strip-notebook-outputs':
+                    flags.stripNotebookOutputs = true;
+                    break;
+                case '--config':
+                    flags.config = args[++i];
+                    break;
+                case '--baseline':
+                    flags.baseline = args[++i];
+                    break;
+                case '--output':
+                    flags.output = args[++i];
+                    break;
+                case '--format':
+                    flags.format = args[++i];
+                    break;
             }
         } else if (!flags.path || flags.path === '.') {
             flags.path = arg;
         }
     }
 
+    if (!REPORT_FORMATS.includes(flags.format)) {
+        console.error(`❌ Unknown format: ${flags.format} (expected one of ${REPORT_FORMATS.join(', ')})`);
+        process.exit(2);
+    }
+
+    if (!Number.isInteger(flags.depth) || flags.depth < 0) {
+        console.error('❌ --depth must be a number of commits (0 for all)');
+        process.exit(2);
+    }
+
+    if (!Number.isInteger(flags.jobs) || flags.jobs < 1) {
+        console.error('❌ --jobs must be a number of at least 1');
+        process.exit(2);
+    }
+
+    // Revisions are passed to git as arguments, so they must not look like options
+    if ((flags.range && flags.range.startsWith('-')) || (flags.since && flags.since.startsWith('-'))) {
+        console.error('❌ --range and --since values must not start with "-"');
+        process.exit(2);
+    }
+
+    if (flags.command === 'cache-clear') {
+        await clearCaches(flags.path);
+        console.log('✅ Caches cleared');
+        process.exit(0);
+    }
+
+    // A report written to stdout must not be mixed with progress output
+    const reportOnStdout = flags.format !== 'text' && !flags.output && flags.command !== 'baseline-create';
+    if (reportOnStdout) {
+        console.log = console.error;
+    }
+
+    // Load .source-secure.json / .source-secure.yml (user-level, then project)
+    let config;
+    try {
+        config = loadConfig(flags.path, flags.config);
+        applyConfig(config);
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(2);
+    }
+
+    const ignoreFile = loadIgnoreFile(flags.path);
+
+    let baseline = null;
+    if (flags.baseline) {
+        try {
+            baseline = loadBaseline(flags.baseline);
+        } catch (error) {
+            console.error(`❌ ${error.message}`);
+            process.exit(2);
+        }
+    }
+
     console.log(`
 ╔══════════════════════════════════════════════════════════════╗
 ║                  🛡️  Source Secure v2.4                      ║
@@ -946,8 +5346,13 @@ async function main() {
 `);
 
     console.log(`🔍 Scanning: ${path.resolve(flags.path)}`);
-    if (flags.ai) console.log('🤖 AI detection: Enabled (using Ollama)');
+    for (const source of config.sources) console.log(`⚙️  Config: ${source}`);
+    if (ignoreFile) console.log(`🔕 Suppressions: ${ignoreFile} (${IGNORE_FILE_RULES.length} rule(s))`);
+    if (flags.ai) console.log(`🤖 AI triage: ${AI_CONFIG.model} at ${ollamaBaseUrl().origin}`);
     if (flags.history) console.log('📜 Git history: Scanning enabled');
+    if (flags.staged) console.log('📝 Staged changes only: Scanning added lines in the index');
+    if (flags.range || flags.since) console.log(`📜 Commit range: ${[flags.range, flags.since && `since ${flags.since}`].filter(Boolean).join(' ')}`);
+    if (baseline) console.log(`📋 Baseline: ${flags.baseline} (${baseline.findings.length} known finding(s))`);
     console.log('');
 
     const startTime = Date.now();
@@ -956,35 +5361,115 @@ async function main() {
     const findings = [];
     const scanPromises = [];
 
-    function walk(dir) {
+    // The baseline and report files of this run are our own output, full of hashes the detectors would report
+    const outputFiles = new Set([path.join(flags.path, BASELINE_FILE_NAME), flags.baseline, flags.output].filter(Boolean).map(file => path.resolve(file)));
+
+    // Yield the files to scan, in the same order on every run
+    function* walk(dir) {
         const items = fs.readdirSync(dir);
         for (const item of items) {
             const fullPath = path.join(dir, item);
 
-            // Skip directories to ignore
-            if (item === '.git' || item === 'node_modules' || item === 'dist' || item === 'build') {
+            // Skip directories, paths to ignore and our own output files
+            if (shouldSkipPath(path.relative(flags.path, fullPath), item, () => fs.statSync(fullPath).isDirectory()) || outputFiles.has(path.resolve(fullPath))) {
+                SCAN_STATS.filesSkipped++;
                 continue;
             }
 
             const stats = fs.statSync(fullPath);
             if (stats.isDirectory()) {
-                walk(fullPath);
+                yield* walk(fullPath);
             } else if (stats.isFile()) {
-                const ext = path.extname(fullPath).toLowerCase();
-
                 // Check if file is an archive
                 if (isArchive(fullPath)) {
                     // Scan archive contents
-                    scanPromises.push(scanArchive(fullPath, flags.ai));
-                } else if (['.js', '.py', '.json', '.env', '.yml', '.yaml', '.xml', '.config', '.conf', '.properties', '.sh', '.bash'].includes(ext) || ext === '') {
+                    yield { kind: 'archive', filePath: fullPath };
+                } else if (shouldScanFile(fullPath)) {
                     // Scan regular file
-                    scanPromises.push(scanFile(fullPath, flags.ai));
+                    yield { kind: 'file', filePath: fullPath };
+                } else {
+                    SCAN_STATS.filesSkipped++;
+                }
+            }
+        }
+    }
+
+    // Scan the working tree with --jobs workers (in this thread for --jobs 1). Results are collected in walk order,
+    // so the findings don't depend on which worker finishes first. Files and archives whose contents haven't
+    // changed since the last run are taken from the scan cache.
+    async function scanWorkingTree() {
+        const pool = flags.jobs > 1
+            ? createScanPool(flags.jobs, { config, useAI: flags.ai, logToStderr: reportOnStdout })
+            : null;
+        // Triage needs the lines around each finding, which the cache doesn't keep
+        const cache = flags.cache && !flags.ai ? loadScanCache(flags.path) : null;
+        let cachedCount = 0;
+
+        // Progress on an interactive terminal, overwritten in place
+        let queued = 0;
+        let done = 0;
+        const progress = process.stderr.isTTY
+            ? setInterval(() => process.stderr.write(`\r⏳ Scanned ${done}/${queued} file(s)...`), 250)
+            : null;
+
+        const finish = (task, result) => {
+            done++;
+            if (cache) storeScanResult(cache, task, result);
+            return result.findings;
+        };
+
+        try {
+            for (const task of walk(flags.path)) {
+                queued++;
+
+                const cached = cache && await lookupScanResult(cache, task);
+                if (cached) {
+                    SCAN_STATS.filesScanned += cached.stats.filesScanned;
+                    SCAN_STATS.filesSkipped += cached.stats.filesSkipped;
+                    scanPromises.push(cached.findings);
+                    cachedCount++;
+                    done++;
+                } else if (pool) {
+                    await pool.ready();
+                    scanPromises.push(pool.run(task).then(result => finish(task, result)));
+                } else {
+                    scanPromises.push(finish(task, await runScanTask(task, flags.ai)));
                 }
             }
+            await Promise.all(scanPromises);
+        } finally {
+            if (progress) {
+                clearInterval(progress);
+                process.stderr.write('\r\x1b[K');
+            }
+            if (pool) await pool.close();
+        }
+
+        if (cache) {
+            saveScanCache(cache);
+            if (cachedCount > 0) console.log(`♻️  ${cachedCount} unchanged file(s) and archive(s) taken from the scan cache (--no-cache to rescan)`);
         }
     }
 
-    walk(flags.path);
+    if (flags.staged) {
+        // Pre-commit mode: only the lines being committed, read from the index
+        try {
+            findings.push(...await scanStagedChanges(flags.path, flags.ai));
+        } catch (error) {
+            console.error(`❌ ${error.message}`);
+            process.exit(2);
+        }
+    } else if (flags.range || flags.since) {
+        // Pull request mode: only the lines added by the commits in the range
+        try {
+            findings.push(...await scanCommitRange({ cwd: flags.path, range: flags.range, since: flags.since, useAI: flags.ai, useCache: flags.cache && !flags.ai }));
+        } catch (error) {
+            console.error(`❌ ${error.message}`);
+            process.exit(2);
+        }
+    } else {
+        await scanWorkingTree();
+    }
 
     // Wait for all scan promises to resolve
     const allFindings = await Promise.all(scanPromises);
@@ -994,27 +5479,124 @@ async function main() {
         }
     }
 
-    // Run external tool scans (TruffleHog, Gitleaks)
-    const externalFindings = await runExternalScans(path.resolve(flags.path));
+    // Run external tool scans (TruffleHog, Gitleaks). They read the working tree, so they are skipped for staged and commit range scans.
+    const diffOnly = flags.staged || flags.range || flags.since;
+    const externalFindings = diffOnly ? [] : await runExternalScans(path.resolve(flags.path));
 
     // Merge internal and external findings
     const mergedFindings = mergeFindingsWithExternal(findings, externalFindings);
     findings.length = 0;  // Clear original array
     findings.push(...mergedFindings);  // Replace with merged results
 
+    // Suppressed findings are listed separately and never fail the scan
+    markSuppressedFindings(findings, flags.path);
+    if (flags.ai) await triageFindings(findings);
+    const suppressedFindings = findings.filter(f => f.suppression);
+    findings.splice(0, findings.length, ...findings.filter(f => !f.suppression));
+
+    // Remove the outputs of notebook cells that printed a secret. The findings are still reported: the secret
+    // has been exposed and must be rotated, and may remain in git history.
+    if (flags.stripNotebookOutputs) {
+        const offendingCells = new Map();
+        for (const finding of findings) {
+            if (!finding.cell || finding.cell.part !== 'output' || finding.inArchive || finding.commit) continue;
+            if (!offendingCells.has(finding.file)) offendingCells.set(finding.file, new Set());
+            offendingCells.get(finding.file).add(finding.cell.index);
+        }
+        for (const [file, cellIndexes] of offendingCells) {
+            try {
+                const stripped = stripNotebookOutputs(file, cellIndexes);
+                if (stripped > 0) console.log(`🧹 Stripped the outputs of ${stripped} cell(s) in ${relativeFindingPath({ file }, flags.path)}`);
+            } catch (error) {
+                console.error(`❌ Unable to strip outputs from ${file}: ${error.message}`);
+            }
+        }
+    }
+
+    // Findings in git history that aren't suppressed; the suppressed ones join suppressedFindings
+    const scanHistoryFindings = async () => {
+        const historyFindings = await scanGitHistory({ cwd: flags.path, depth: flags.depth, useAI: flags.ai, useCache: flags.cache && !flags.ai });
+        markSuppressedFindings(historyFindings, flags.path);
+        if (flags.ai) await triageFindings(historyFindings);
+        suppressedFindings.push(...historyFindings.filter(f => f.suppression));
+        return historyFindings.filter(f => !f.suppression);
+    };
+
+    // Record the current findings as the baseline and stop. With --history, secrets found only in history are
+    // recorded too, once each.
+    if (flags.command === 'baseline-create') {
+        const baselineFindings = [...findings];
+        if (flags.history) {
+            const known = new Set(findings.map(finding => fingerprintFinding(finding, flags.path)));
+            for (const finding of await scanHistoryFindings()) {
+                const fingerprint = fingerprintFinding(finding, flags.path);
+                if (known.has(fingerprint)) continue;
+                known.add(fingerprint);
+                baselineFindings.push(finding);
+            }
+        }
+
+        const baselinePath = flags.output || path.join(flags.path, BASELINE_FILE_NAME);
+        fs.writeFileSync(baselinePath, JSON.stringify(createBaseline(baselineFindings, flags.path), null, 2) + '\n');
+        console.log(`\n📋 Baseline with ${baselineFindings.length} finding(s) written to ${baselinePath}\n`);
+        process.exit(0);
+    }
+
+    // Only report findings that are missing from the baseline. Scans of staged changes and commit ranges only
+    // see what changed, so entries they don't find aren't listed as fixed.
+    if (baseline) {
+        const { newFindings, baselinedFindings, fixedEntries = [] } = flags.range || flags.since
+            ? compareHistoryWithBaseline(findings, baseline, flags.path)
+            : compareWithBaseline(findings, baseline, flags.path);
+        findings.length = 0;
+        findings.push(...newFindings);
+
+        console.log(`\n📋 Baseline: ${baselinedFindings.length} known finding(s) hidden, ${newFindings.length} new`);
+        if (fixedEntries.length > 0 && !diffOnly) {
+            console.log(`🧹 ${fixedEntries.length} baseline entr${fixedEntries.length === 1 ? 'y is' : 'ies are'} no longer found and can be pruned with \`source-secure baseline create\`:`);
+            for (const entry of fixedEntries) {
+                console.log(`   ${entry.file}${entry.line ? `:${entry.line}` : ''} - ${entry.rule}`);
+            }
+        }
+    }
+
     // Scan git history if requested
+    let historyFindings = [];
     if (flags.history) {
-        const historyFindings = await scanGitHistory();
+        historyFindings = await scanHistoryFindings();
+        if (baseline) {
+            const { newFindings, baselinedFindings } = compareHistoryWithBaseline(historyFindings, baseline, flags.path);
+            historyFindings = newFindings;
+            console.log(`\n📋 Baseline: ${baselinedFindings.length} known finding(s) in git history hidden, ${newFindings.length} new`);
+        }
         if (historyFindings.length > 0) {
             console.log(`\n📜 Found ${historyFindings.length} secret(s) in git history:`);
             for (const finding of historyFindings) {
-                console.log(`   Commit ${finding.commit}: ${finding.type} (${finding.severity})`);
+                const location = `${relativeFindingPath(finding, flags.path)}${describeCell(finding)}${describeDocument(finding)}${finding.line ? `:${finding.line}` : ''}`;
+                const status = finding.stillAtHead === undefined ? '' : finding.stillAtHead ? ', still at HEAD' : ', removed since';
+                console.log(`   Commit ${finding.commit.substring(0, 8)} ${location}: ${finding.type} (${finding.severity}${status})`);
+                if (flags.verbose) console.log(`      by ${finding.author} on ${finding.date}`);
+            }
+        }
+    }
+
+    if (suppressedFindings.length > 0) {
+        console.log(`\n🔕 ${suppressedFindings.length} finding(s) suppressed${flags.verbose ? ':' : ' (use --verbose to list them)'}`);
+        if (flags.verbose) {
+            for (const finding of suppressedFindings) {
+                const location = `${relativeFindingPath({ file: finding.inArchive || finding.file }, flags.path)}${describeCell(finding)}${describeDocument(finding)}${finding.line ? `:${finding.line}` : ''}`;
+                const commit = finding.commit ? ` (commit ${finding.commit.substring(0, 8)})` : '';
+                console.log(`   ${location}${commit}: ${finding.type} - ${describeSuppression(finding.suppression)}`);
             }
         }
     }
 
     const duration = ((Date.now() - startTime) / 1000).toFixed(2);
 
+    if (flags.format !== 'text') {
+        writeReport(flags.format, findings, { scanRoot: flags.path, historyFindings, suppressedFindings, startTime }, flags.output);
+    }
+
     // Display results
     if (findings.length === 0) {
         console.log(`\n✅ No secrets detected! Scan completed in ${duration}s\n`);
@@ -1037,9 +5619,18 @@ async function main() {
 
                 if (flags.verbose) {
                     for (const item of items) {
-                        console.log(`\n📄 ${item.file}`);
-                        if (item.line) console.log(`   Line ${item.line}: ${item.type}`);
+                        console.log(`\n📄 ${item.file}${describeCell(item)}${describeDocument(item)}`);
+                        if (item.line) console.log(`   Line ${item.line}: ${item.type}${item.keyPath ? ` at ${item.keyPath}` : ''}`);
+                        else if (item.offset !== undefined) console.log(`   Byte offset ${item.offset}: ${item.type}`);
+                        else console.log(`   ${item.type}${item.keyPath ? ` at ${item.keyPath}` : ''}`);
+                        if (item.image && item.image.layer) console.log(`   ${item.image.visible ? 'Still present in the final image' : 'Deleted or replaced by a later layer (still in the image tarball)'}`);
+                        if (item.resource) console.log(`   Resource: ${item.resource}`);
+                        if (item.author) console.log(`   Commit ${item.commit.substring(0, 8)} by ${item.author} on ${item.date}`);
                         console.log(`   Match: ${item.match}`);
+                        if (item.decoding) console.log(`   Decoded: ${item.decoding.join(' → ')}`);
+                        if (item.warning) console.log(`   Not extracted: ${item.warning}`);
+                        if (item.key) console.log(`   Key: ${describeKey(item.key)}${item.endLine ? `, lines ${item.line}-${item.endLine}` : ''}`);
+                        if (item.triage) console.log(`   🤖 AI triage: ${item.triage.label.replace('_', ' ')} (confidence ${item.triage.confidence}): ${item.triage.reason}`);
 
                         // Show source tool and verification status
                         if (item.isExternal) {
@@ -1076,8 +5667,10 @@ async function main() {
     }
 }
 
-if (require.main === module) {
+if (!isMainThread && workerData && workerData.scanWorker) {
+    runScanWorker();
+} else if (require.main === module) {
     main().catch(console.error);
 }
 
-module.exports = { scanFile, scanGitHistory, calculateEntropy };
+module.exports = { scanFile, scanContent, scanGitHistory, scanStagedChanges, scanCommitRange, parseAddedLines, calculateEntropy, createBaseline, compareWithBaseline, buildSarifReport, buildJsonReport, buildHtmlReport, loadConfig, applyConfig, compileDetector, globToRegExp };